@@ -6,7 +6,12 @@ export const ROOM_CONFIG = {
     DEFAULT_MAX_PLAYERS: 4,
     ROOM_CODE_LENGTH: 6,
     ROOM_CODE_CHARS: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
-    MIN_PLAYERS_TO_START: 1 // Can start solo or with others
+    MIN_PLAYERS_TO_START: 1, // Can start solo or with others
+    RECONNECT_GRACE_PERIOD: 30000, // ms a disconnected player's seat is held
+    RECONNECT_TOKEN_BYTES: 24,
+    MAX_PLAYERS: 8, // Upper bound for a host-chosen maxPlayers
+    MAX_NAME_LENGTH: 24,
+    MAX_SPECTATORS: 50
 };
 
 export const ROOM_STATUS = {
@@ -33,7 +38,19 @@ export const SOCKET_EVENTS = {
         DEPLOY_SINK: 'deploy_sink',
         ACTIVATE_IMMUNITY: 'activate_immunity',
         GET_GAME_STATE: 'get_game_state',
-        RESPAWN_PLAYER: 'respawn_player'
+        RESPAWN_PLAYER: 'respawn_player',
+        RESUME_SESSION: 'resume_session',
+        RETURN_TO_LOBBY: 'return_to_lobby',
+        SNAPSHOT_ACK: 'snapshot_ack',
+        CLOCK_PONG: 'clock_pong',
+        SPECTATE_ROOM: 'spectate_room',
+        FOLLOW_PLAYER: 'follow_player',
+        LIST_ROOMS: 'list_rooms',
+        QUICK_PLAY: 'quick_play',
+        CANCEL_QUICK_PLAY: 'cancel_quick_play',
+        UPDATE_ROOM_SETTINGS: 'update_room_settings',
+        SELECT_TEAM: 'select_team',
+        GET_LEADERBOARD: 'get_leaderboard'
     },
     // Server -> Client
     SERVER: {
@@ -41,19 +58,357 @@ export const SOCKET_EVENTS = {
         ROOM_JOINED: 'room_joined',
         PLAYER_JOINED: 'player_joined',
         PLAYER_LEFT: 'player_left',
+        ROOM_LEFT: 'room_left',
+        ROOM_CLOSED: 'room_closed',
+        SPECTATING: 'spectating',
+        FOLLOW_UPDATED: 'follow_updated',
+        ROOM_LIST: 'room_list',
+        LEADERBOARD: 'leaderboard',
+        QUEUE_UPDATE: 'queue_update',
+        PLAYER_DISCONNECTED: 'player_disconnected',
+        PLAYER_RECONNECTED: 'player_reconnected',
+        PLAYER_LATENCY: 'player_latency',
+        SESSION_RESUMED: 'session_resumed',
+        RESUME_ERROR: 'resume_error',
+        CLOCK_PING: 'clock_ping',
+        ANTI_CHEAT_WARNING: 'anticheat_warning',
+        KICKED: 'kicked',
         ROOM_UPDATE: 'room_update',
         GAME_STARTED: 'game_started',
         GAME_STATE: 'game_state',
+        MINIMAP_UPDATE: 'minimap_update',
         PLAYER_DEATH: 'player_death',
         PLAYER_RESPAWNED: 'player_respawned',
+        PLAYER_REJOINED: 'player_rejoined',
+        PLAYER_REVIVED: 'player_revived',
+        HAZARD_WARNING: 'hazard_warning',
+        TILES_CHANGED: 'tiles_changed',
+        GAME_OVER: 'game_over',
         COLLECTIBLE_COLLECTED: 'collectible_collected',
         JOIN_ERROR: 'join_error',
-        START_ERROR: 'start_error'
+        START_ERROR: 'start_error',
+        LOBBY_ERROR: 'lobby_error',
+        ACTION_ERROR: 'action_error'
     }
 };
 
+// Machine-readable codes carried by every error reply as { code, message }
+export const ERROR_CODES = {
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+    NOT_IN_ROOM: 'NOT_IN_ROOM',
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    ROOM_FULL: 'ROOM_FULL',
+    ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+    GAME_IN_PROGRESS: 'GAME_IN_PROGRESS',
+    GAME_NOT_ACTIVE: 'GAME_NOT_ACTIVE',
+    MATCH_FINISHED: 'MATCH_FINISHED',
+    MATCH_NOT_FINISHED: 'MATCH_NOT_FINISHED',
+    INVALID_SETTINGS: 'INVALID_SETTINGS',
+    MAP_NOT_FOUND: 'MAP_NOT_FOUND',
+    NOT_TEAM_MODE: 'NOT_TEAM_MODE',
+    NOT_HOST: 'NOT_HOST',
+    NOT_ENOUGH_PLAYERS: 'NOT_ENOUGH_PLAYERS',
+    SESSION_EXPIRED: 'SESSION_EXPIRED',
+    SPECTATORS_FULL: 'SPECTATORS_FULL',
+    ALREADY_QUEUED: 'ALREADY_QUEUED',
+    NOT_SPECTATING: 'NOT_SPECTATING',
+    PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+    ENERGY_NOT_FULL: 'ENERGY_NOT_FULL',
+    NO_SINKS: 'NO_SINKS',
+    NO_IMMUNITY: 'NO_IMMUNITY',
+    IMMUNITY_ACTIVE: 'IMMUNITY_ACTIVE',
+    RESPAWN_DISABLED: 'RESPAWN_DISABLED',
+    PLAYER_ALIVE: 'PLAYER_ALIVE',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+export const MATCHMAKING_CONFIG = {
+    QUICK_PLAY_THRESHOLD: 2, // queued players needed to open a new public room
+    QUICK_PLAY_MAX_PLAYERS: 4
+};
+
+// Tile codes in map.tiles
+export const TILES = {
+    ROAD: 0,
+    BUILDING: 1,
+    GRASS: 2,
+    WATER: 3,
+    LAVA: 4
+};
+
+export const MAP_LAYOUTS = {
+    GRID_CITY: 'grid_city',
+    DISTRICTS: 'districts',
+    ISLANDS: 'islands'
+};
+
+export const MAP_CONFIG = {
+    TILE_SIZE: 64, // px per tile
+    WIDTH: 50, // tiles, default for rooms that do not pick a size
+    HEIGHT: 50, // tiles
+    MIN_SIZE: 20, // tiles per side, for generated and custom maps alike
+    MAX_SIZE: 100,
+    DEFAULT_LAYOUT: MAP_LAYOUTS.GRID_CITY,
+    MAX_SEED_LENGTH: 64,
+    MAX_GENERATION_ATTEMPTS: 5, // fresh layouts tried before settling for a repaired one
+    MIN_ROAD_TILES: 40, // fewer road tiles than this and the layout is regenerated
+    MIN_REGION_SIZE: 6, // cut-off road pockets smaller than this are built over instead of bridged
+    CUSTOM_DIRECTORY: 'maps', // hand-made maps, one JSON file each, loaded at startup
+    CUSTOM_MAP_ID_PATTERN: /^[a-z0-9_-]{1,32}$/, // file name without .json
+    MAX_CUSTOM_MAP_BYTES: 1024 * 1024
+};
+
+export const GAME_MODES = {
+    SURVIVAL: 'survival',
+    COIN_RUSH: 'coin_rush',
+    TEAMS: 'teams'
+};
+
+export const GAME_MODE_CONFIG = {
+    COIN_RUSH: {
+        DEFAULT_TIME_LIMIT: 120, // seconds, when the host sets no time limit
+        RESPAWN_DELAY: 3, // seconds dead before an automatic respawn
+        COIN_LOSS_ON_DEATH: 0.5, // share of a player's coins lost when they die
+        MIN_COINS_ON_MAP: 30
+    },
+    TEAMS: {
+        TEAMS: [
+            { id: 'red', color: '#e74c3c' },
+            { id: 'blue', color: '#3498db' }
+        ],
+        REVIVE_RADIUS: 60, // px a team-mate must stay within
+        REVIVE_TIME: 3, // seconds of standing nearby to revive
+        REVIVE_IMMUNITY: 2 // seconds of immunity after being revived
+    }
+};
+
+// Per-room gameplay rules; the host may change any of them in the lobby within RANGES
+export const GAME_RULES = {
+    DEFAULTS: {
+        playerSpeed: 300, // px/s
+        enemySpeed: 250, // px/s, plus up to 30 at random per enemy
+        immunityDuration: 10, // seconds
+        coinsForImmunity: 5,
+        maxImmunityInventory: 3,
+        startingEnemies: 3,
+        speedBoostTime: 30, // seconds into the match when everything speeds up
+        speedBoostMultiplier: 1.2,
+        collectiblesStartTime: 30, // seconds before immunity and sink pickups appear
+        boatCount: 10,
+        // Seconds into the match before each hazard starts; the maximum keeps it off for any time limit
+        lavaCreepStartTime: 180,
+        roadCollapseStartTime: 60,
+        floodStartTime: 90
+    },
+    RANGES: {
+        playerSpeed: { min: 100, max: 600 },
+        enemySpeed: { min: 50, max: 500 },
+        immunityDuration: { min: 1, max: 60 },
+        coinsForImmunity: { min: 1, max: 50, integer: true },
+        maxImmunityInventory: { min: 0, max: 10, integer: true },
+        startingEnemies: { min: 0, max: 20, integer: true },
+        speedBoostTime: { min: 0, max: 600 },
+        speedBoostMultiplier: { min: 1, max: 3 },
+        collectiblesStartTime: { min: 0, max: 600 },
+        boatCount: { min: 0, max: 40, integer: true },
+        lavaCreepStartTime: { min: 0, max: 3600 },
+        roadCollapseStartTime: { min: 0, max: 3600 },
+        floodStartTime: { min: 0, max: 3600 }
+    }
+};
+
+export const BOAT_STATES = {
+    AFLOAT: 'afloat',
+    SINKING: 'sinking', // still carries riders while it goes down
+    SUNK: 'sunk' // gone until it respawns
+};
+
+export const BOAT_CONFIG = {
+    WIDTH: 48,
+    HEIGHT: 48,
+    DEFAULT_SPEED: 150, // px/s, for routes that do not set one
+    MIN_SPEED: 30,
+    MAX_SPEED: 600,
+    MIN_LIFETIME: 20, // seconds afloat, rolled per boat
+    MAX_LIFETIME: 40,
+    SINK_TIME: 3,
+    RESPAWN_DELAY: 5 // seconds before a sunk boat is launched again somewhere else
+};
+
+export const HAZARD_TYPES = {
+    LAVA_CREEP: 'lava_creep', // the lava border closes in one ring at a time
+    ROAD_COLLAPSE: 'road_collapse', // road tiles crack and fall into lava
+    FLOOD: 'flood', // open ground near water goes under for a while
+    FLOOD_RECEDE: 'flood_recede'
+};
+
+export const HAZARD_CONFIG = {
+    LAVA_CREEP: {
+        INTERVAL: 30, // seconds between rings
+        WARNING: 6, // seconds a ring is marked before it turns to lava
+        MIN_SAFE_SIZE: 12 // tiles across the zone never shrinks below
+    },
+    ROAD_COLLAPSE: {
+        INTERVAL: 10,
+        WARNING: 3,
+        TILES: 3, // road tiles cracked per collapse
+        MAX_ATTEMPTS: 30 // candidates tried; tiles that would cut the road network are skipped
+    },
+    FLOOD: {
+        INTERVAL: 45,
+        WARNING: 4,
+        DURATION: 12, // seconds before the water recedes
+        RADIUS: 2 // tiles around the source water tile
+    }
+};
+
+export const MATCH_CONFIG = {
+    // Any combination may be enabled; the first one met ends the match
+    DEFAULT_END_CONDITIONS: {
+        timeLimit: null, // seconds
+        lastPlayerAlive: false,
+        coinTarget: null // coins
+    },
+    MAX_TIME_LIMIT: 3600,
+    MAX_COIN_TARGET: 1000
+};
+
+export const ANTI_CHEAT_CONFIG = {
+    // Max events per second per socket
+    RATE_LIMITS: {
+        [SOCKET_EVENTS.CLIENT.PLAYER_INPUT]: 120,
+        [SOCKET_EVENTS.CLIENT.SNAPSHOT_ACK]: 60,
+        [SOCKET_EVENTS.CLIENT.USE_PORTAL]: 4,
+        [SOCKET_EVENTS.CLIENT.DEPLOY_SINK]: 4,
+        [SOCKET_EVENTS.CLIENT.ACTIVATE_IMMUNITY]: 4,
+        [SOCKET_EVENTS.CLIENT.RESPAWN_PLAYER]: 2,
+        [SOCKET_EVENTS.CLIENT.GET_GAME_STATE]: 5,
+        [SOCKET_EVENTS.CLIENT.START_GAME]: 2
+    },
+    WARN_STRIKES: 3,
+    KICK_STRIKES: 8,
+    STRIKE_DECAY_INTERVAL: 30000, // ms per strike forgiven
+    MOVEMENT_BURST: 250, // ms of movement a client may bank to ride out network jitter
+    MOVEMENT_TOLERANCE: 50 // ms
+};
+
+export const CLOCK_SYNC_CONFIG = {
+    PING_INTERVAL: 2000, // ms between clock pings per socket
+    PING_TIMEOUT: 10000, // ms before an unanswered ping is forgotten
+    SMOOTHING: 0.2, // weight of each new sample in the RTT/offset estimate
+    LATENCY_REPORT_THRESHOLD: 10 // ms the RTT must move before the room hears about it
+};
+
+export const SNAPSHOT_CONFIG = {
+    // Snapshots kept as delta baselines; clients acking anything older get a keyframe
+    HISTORY_SIZE: 32
+};
+
+export const AOI_CONFIG = {
+    RADIUS: 1200, // px around the player that a client receives entities for
+    CELL_SIZE: 512, // px per spatial grid cell
+    MINIMAP_INTERVAL: 1, // seconds between minimap summaries
+    // Collections cut down to the area of interest; players are always sent in full
+    FILTERED_COLLECTIONS: ['enemies', 'boats', 'coins', 'immunityPickups', 'sinkCollectibles', 'deployedSinks', 'portals']
+};
+
+export const REPLAY_CONFIG = {
+    DIRECTORY: 'replays',
+    FORMAT_VERSION: 1
+};
+
+export const LEADERBOARD_PERIODS = {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    ALL_TIME: 'all_time'
+};
+
+export const LEADERBOARD_CONFIG = {
+    STORAGE: 'json', // match store backend, see services/storage
+    DATA_FILE: 'data/matches.json',
+    MAX_STORED_MATCHES: 10000, // oldest results are dropped beyond this
+    // Rolling window per period, in ms; null means no cut-off
+    PERIOD_WINDOWS: {
+        [LEADERBOARD_PERIODS.DAILY]: 24 * 60 * 60 * 1000,
+        [LEADERBOARD_PERIODS.WEEKLY]: 7 * 24 * 60 * 60 * 1000,
+        [LEADERBOARD_PERIODS.ALL_TIME]: null
+    },
+    DEFAULT_PERIOD: LEADERBOARD_PERIODS.ALL_TIME,
+    // Per-run fields a leaderboard can be ranked by, highest first
+    SORT_FIELDS: ['score', 'coins', 'survivalTime', 'enemiesTrapped'],
+    DEFAULT_SORT: 'score',
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 100
+};
+
+// Recorded events that change the simulation outside of player input
+export const REPLAY_ACTIONS = {
+    INPUT: 'input',
+    PORTAL: 'portal',
+    SINK: 'sink',
+    IMMUNITY: 'immunity',
+    RESPAWN: 'respawn',
+    JOIN: 'join',
+    DISCONNECT: 'disconnect',
+    RECONNECT: 'reconnect',
+    LEAVE: 'leave'
+};
+
+export const MATCH_END_REASONS = {
+    TIME_LIMIT: 'time_limit',
+    LAST_PLAYER_ALIVE: 'last_player_alive',
+    COIN_TARGET: 'coin_target',
+    TEAM_ELIMINATED: 'team_eliminated'
+};
+
+export const ENEMY_BEHAVIORS = {
+    CHASER: 'chaser', // heads straight for the nearest player
+    AMBUSHER: 'ambusher', // cuts off the nearest player where they are heading
+    PATROLLER: 'patroller' // circles its spawn area until a player comes close
+};
+
+export const ENEMY_AI_CONFIG = {
+    // Share of spawned enemies per behaviour
+    BEHAVIOR_WEIGHTS: {
+        [ENEMY_BEHAVIORS.CHASER]: 0.5,
+        [ENEMY_BEHAVIORS.AMBUSHER]: 0.3,
+        [ENEMY_BEHAVIORS.PATROLLER]: 0.2
+    },
+    REPATH_INTERVAL: 0.5, // seconds before an enemy's path goes stale
+    PATHS_PER_TICK: 4, // path searches per room per tick; the rest keep their old path
+    MAX_SEARCH_NODES: 1500, // tiles A* may expand before giving up
+    WAYPOINT_RADIUS: 8, // px from a tile centre that counts as reaching it
+    DIRECT_CHASE_RANGE: 96, // px; closer than this enemies steer straight at their target
+    AMBUSH_LOOKAHEAD: 1.5, // seconds of player movement an ambusher aims ahead
+    PATROL_RADIUS: 6, // tiles around the spawn point a patroller wanders
+    PATROL_AGGRO_RANGE: 400 // px; players inside this pull a patroller into a chase
+};
+
+// Enemy types. Speed is a multiple of the room's enemySpeed rule; size is the collision box in px.
+// Fragile enemies are destroyed by immune players and sinks instead of being knocked away.
+export const ENEMY_ARCHETYPES = {
+    standard: { speedMultiplier: 1, size: 24, crossesLava: false, fragile: false },
+    runner: { speedMultiplier: 1.5, size: 16, crossesLava: false, fragile: true },
+    brute: { speedMultiplier: 0.65, size: 40, crossesLava: false, fragile: false },
+    lavaWalker: { speedMultiplier: 0.9, size: 24, crossesLava: true, fragile: false }
+};
+
+// Difficulty stages, each taking over at `time` seconds into the match.
+// Every spawnInterval seconds, spawnCount enemies are added (up to maxEnemies),
+// with archetypes rolled from `archetypes` weights. speedMultiplier scales every enemy.
+export const DIFFICULTY_CURVE = [
+    { time: 0, spawnInterval: 30, spawnCount: 2, maxEnemies: 10, speedMultiplier: 1, archetypes: { standard: 1 } },
+    { time: 60, spawnInterval: 25, spawnCount: 2, maxEnemies: 14, speedMultiplier: 1.05, archetypes: { standard: 0.7, runner: 0.3 } },
+    { time: 120, spawnInterval: 20, spawnCount: 3, maxEnemies: 18, speedMultiplier: 1.1, archetypes: { standard: 0.5, runner: 0.3, brute: 0.2 } },
+    { time: 210, spawnInterval: 18, spawnCount: 3, maxEnemies: 22, speedMultiplier: 1.15, archetypes: { standard: 0.4, runner: 0.25, brute: 0.2, lavaWalker: 0.15 } },
+    { time: 330, spawnInterval: 15, spawnCount: 4, maxEnemies: 28, speedMultiplier: 1.25, archetypes: { standard: 0.3, runner: 0.3, brute: 0.2, lavaWalker: 0.2 } }
+];
+
 export const GAME_CONFIG = {
     TICK_RATE: 20, // Server ticks per second
     INPUT_BUFFER_SIZE: 60,
-    MAX_INPUT_LAG: 1000 // ms
+    MAX_INPUT_LAG: 1000, // ms
+    MAX_INPUT_DURATION: 100, // ms a single sequenced input may cover
+    INPUT_CATCHUP_FACTOR: 2 // sequenced input time applied per tick, as a multiple of the tick length
 };
@@ -0,0 +1,234 @@
+/**
+ * Payload schemas for every client -> server event
+ * Enforced centrally in setupSocketIO before any handler runs.
+ * errorEvent is where a rejected payload is reported back to the client.
+ */
+
+import {
+    SOCKET_EVENTS,
+    ROOM_CONFIG,
+    MATCH_CONFIG,
+    GAME_RULES,
+    GAME_MODES,
+    GAME_MODE_CONFIG,
+    LEADERBOARD_PERIODS,
+    LEADERBOARD_CONFIG,
+    MAP_LAYOUTS,
+    MAP_CONFIG
+} from './constants.js';
+
+const { CLIENT, SERVER } = SOCKET_EVENTS;
+
+const INPUT_KEYS = [
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    'KeyW', 'KeyA', 'KeyS', 'KeyD'
+];
+
+// Events whose payload is ignored by their handler
+const NO_PAYLOAD = { type: 'any' };
+
+const PLAYER_NAME = { type: 'string', optional: true, minLength: 1, maxLength: ROOM_CONFIG.MAX_NAME_LENGTH };
+
+const ROOM_CODE = {
+    type: 'string',
+    pattern: new RegExp(`^[${ROOM_CONFIG.ROOM_CODE_CHARS}]{${ROOM_CONFIG.ROOM_CODE_LENGTH}}$`)
+};
+
+const END_CONDITIONS = {
+    type: 'object',
+    optional: true,
+    properties: {
+        timeLimit: { type: 'number', optional: true, nullable: true, min: 1, max: MATCH_CONFIG.MAX_TIME_LIMIT },
+        lastPlayerAlive: { type: 'boolean', optional: true },
+        coinTarget: { type: 'integer', optional: true, nullable: true, min: 1, max: MATCH_CONFIG.MAX_COIN_TARGET }
+    }
+};
+
+const RULES = {
+    type: 'object',
+    optional: true,
+    properties: Object.fromEntries(Object.entries(GAME_RULES.RANGES).map(([key, range]) => [key, {
+        type: range.integer ? 'integer' : 'number',
+        optional: true,
+        min: range.min,
+        max: range.max
+    }]))
+};
+
+const MAX_PLAYERS = { type: 'integer', optional: true, min: 1, max: ROOM_CONFIG.MAX_PLAYERS };
+
+const MODE = { type: 'string', optional: true, enum: Object.values(GAME_MODES) };
+
+const MAP_LAYOUT = { type: 'string', optional: true, enum: Object.values(MAP_LAYOUTS) };
+
+// null picks a new seed every match
+const MAP_SEED = { type: 'string', optional: true, nullable: true, minLength: 1, maxLength: MAP_CONFIG.MAX_SEED_LENGTH };
+
+const MAP_DIMENSION = { type: 'integer', optional: true, min: MAP_CONFIG.MIN_SIZE, max: MAP_CONFIG.MAX_SIZE };
+
+// Id of a loaded custom map; null goes back to the generated layout
+const CUSTOM_MAP = { type: 'string', optional: true, nullable: true, pattern: MAP_CONFIG.CUSTOM_MAP_ID_PATTERN };
+
+// Shared by the get_leaderboard event and the GET /leaderboard query string
+export const LEADERBOARD_QUERY = {
+    type: 'object',
+    optional: true,
+    properties: {
+        period: { type: 'string', optional: true, enum: Object.values(LEADERBOARD_PERIODS) },
+        sort: { type: 'string', optional: true, enum: LEADERBOARD_CONFIG.SORT_FIELDS },
+        limit: { type: 'integer', optional: true, min: 1, max: LEADERBOARD_CONFIG.MAX_LIMIT },
+        mode: MODE,
+        // Room settings filters; null matches matches where the condition was off
+        timeLimit: { type: 'number', optional: true, nullable: true, min: 1, max: MATCH_CONFIG.MAX_TIME_LIMIT },
+        coinTarget: { type: 'integer', optional: true, nullable: true, min: 1, max: MATCH_CONFIG.MAX_COIN_TARGET },
+        lastPlayerAlive: { type: 'boolean', optional: true },
+        customRules: { type: 'boolean', optional: true }
+    }
+};
+
+export const CLIENT_EVENT_SCHEMAS = {
+    [CLIENT.CREATE_ROOM]: {
+        errorEvent: SERVER.JOIN_ERROR,
+        payload: {
+            type: 'object',
+            optional: true,
+            properties: {
+                name: PLAYER_NAME,
+                maxPlayers: MAX_PLAYERS,
+                endConditions: END_CONDITIONS,
+                recordReplay: { type: 'boolean', optional: true },
+                allowLateJoin: { type: 'boolean', optional: true },
+                isPublic: { type: 'boolean', optional: true },
+                mode: MODE,
+                rules: RULES,
+                mapLayout: MAP_LAYOUT,
+                mapSeed: MAP_SEED,
+                mapWidth: MAP_DIMENSION,
+                mapHeight: MAP_DIMENSION
+            }
+        }
+    },
+    [CLIENT.JOIN_ROOM]: {
+        errorEvent: SERVER.JOIN_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                roomCode: ROOM_CODE,
+                playerName: PLAYER_NAME
+            }
+        }
+    },
+    [CLIENT.LEAVE_ROOM]: { errorEvent: SERVER.ACTION_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.START_GAME]: { errorEvent: SERVER.START_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.PLAYER_INPUT]: {
+        errorEvent: SERVER.ACTION_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                keys: { type: 'object', optional: true, keys: INPUT_KEYS, values: { type: 'boolean' } },
+                seq: { type: 'integer', optional: true, min: 0 },
+                duration: { type: 'number', optional: true, min: 0 },
+                timestamp: { type: 'number', optional: true }
+            }
+        }
+    },
+    [CLIENT.USE_PORTAL]: { errorEvent: SERVER.ACTION_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.DEPLOY_SINK]: { errorEvent: SERVER.ACTION_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.ACTIVATE_IMMUNITY]: { errorEvent: SERVER.ACTION_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.GET_GAME_STATE]: { errorEvent: SERVER.ACTION_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.RESPAWN_PLAYER]: { errorEvent: SERVER.ACTION_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.RESUME_SESSION]: {
+        errorEvent: SERVER.RESUME_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                reconnectToken: { type: 'string', minLength: 1, maxLength: ROOM_CONFIG.RECONNECT_TOKEN_BYTES * 2 }
+            }
+        }
+    },
+    [CLIENT.RETURN_TO_LOBBY]: { errorEvent: SERVER.LOBBY_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.SNAPSHOT_ACK]: {
+        errorEvent: SERVER.ACTION_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                seq: { type: 'integer', min: 0 }
+            }
+        }
+    },
+    [CLIENT.CLOCK_PONG]: {
+        errorEvent: SERVER.ACTION_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                pingId: { type: 'integer', min: 1 },
+                clientTime: { type: 'number' }
+            }
+        }
+    },
+    [CLIENT.SPECTATE_ROOM]: {
+        errorEvent: SERVER.JOIN_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                roomCode: ROOM_CODE,
+                name: PLAYER_NAME
+            }
+        }
+    },
+    [CLIENT.FOLLOW_PLAYER]: {
+        errorEvent: SERVER.ACTION_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                // null stops following and shows the whole map
+                playerId: { type: 'string', nullable: true, minLength: 1, maxLength: 64 }
+            }
+        }
+    },
+    [CLIENT.LIST_ROOMS]: { errorEvent: SERVER.ACTION_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.QUICK_PLAY]: {
+        errorEvent: SERVER.JOIN_ERROR,
+        payload: {
+            type: 'object',
+            optional: true,
+            properties: {
+                playerName: PLAYER_NAME
+            }
+        }
+    },
+    [CLIENT.CANCEL_QUICK_PLAY]: { errorEvent: SERVER.ACTION_ERROR, payload: NO_PAYLOAD },
+    [CLIENT.UPDATE_ROOM_SETTINGS]: {
+        errorEvent: SERVER.LOBBY_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                maxPlayers: MAX_PLAYERS,
+                endConditions: END_CONDITIONS,
+                recordReplay: { type: 'boolean', optional: true },
+                allowLateJoin: { type: 'boolean', optional: true },
+                isPublic: { type: 'boolean', optional: true },
+                mode: MODE,
+                rules: RULES,
+                mapLayout: MAP_LAYOUT,
+                mapSeed: MAP_SEED,
+                mapWidth: MAP_DIMENSION,
+                mapHeight: MAP_DIMENSION,
+                customMap: CUSTOM_MAP
+            }
+        }
+    },
+    [CLIENT.SELECT_TEAM]: {
+        errorEvent: SERVER.LOBBY_ERROR,
+        payload: {
+            type: 'object',
+            properties: {
+                // null asks for the smallest team
+                teamId: { type: 'string', nullable: true, enum: GAME_MODE_CONFIG.TEAMS.TEAMS.map(team => team.id) },
+                // Only the host may move someone else
+                playerId: { type: 'string', optional: true, minLength: 1, maxLength: 64 }
+            }
+        }
+    },
+    [CLIENT.GET_LEADERBOARD]: { errorEvent: SERVER.ACTION_ERROR, payload: LEADERBOARD_QUERY }
+};
@@ -2,34 +2,134 @@
  * Connection handlers
  */
 
+import { SOCKET_EVENTS, ROOM_STATUS, REPLAY_ACTIONS, CLOCK_SYNC_CONFIG, ERROR_CODES } from '../config/constants.js';
 import roomManager from '../services/RoomManager.js';
 import qbitCityGameStateManager from '../services/QbitCityGameStateManager.js';
+import replayRecorder from '../services/ReplayRecorder.js';
+import snapshotManager from '../services/SnapshotManager.js';
+import clockSyncManager from '../services/ClockSyncManager.js';
+import antiCheatManager from '../services/AntiCheatManager.js';
+import matchmakingManager from '../services/MatchmakingManager.js';
+import { broadcastQueueStatus } from './roomHandlers.js';
+import { getSpectatorRoom } from '../utils/roomUtils.js';
 import { log } from 'console';
 
 export function registerConnectionHandlers(socket, io) {
     log(`Client connected: ${socket.id}`);
 
+    // Clock sync: ping now and then periodically for RTT and offset estimates
+    const sendClockPing = () => socket.emit(SOCKET_EVENTS.SERVER.CLOCK_PING, clockSyncManager.createPing(socket.id));
+    sendClockPing();
+    const clockPingTimer = setInterval(sendClockPing, CLOCK_SYNC_CONFIG.PING_INTERVAL);
+
     socket.on('disconnect', () => {
         log(`Client disconnected: ${socket.id}`);
-        
-        // Handle player leaving room
-        const roomCode = roomManager.getRoomCodeForSocket(socket.id);
-        if (roomCode) {
-            const result = roomManager.removePlayerFromRoom(roomCode, socket.id);
-            
-            if (result && !result.roomDeleted) {
-                const room = roomManager.getRoom(roomCode);
-                if (room) {
-                    io.to(roomCode).emit('player_left', {
-                        playerId: socket.id,
-                        room,
-                        newHostId: result.newHostId
-                    });
-                }
-            } else if (result && result.roomDeleted) {
+        clearInterval(clockPingTimer);
+        clockSyncManager.removeSocket(socket.id);
+        antiCheatManager.removeSocket(socket.id);
+        snapshotManager.removeClient(socket.id);
+
+        const spectated = roomManager.removeSpectator(socket.id);
+        if (spectated) {
+            io.to(spectated.roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_UPDATE, { room: spectated.room });
+            return;
+        }
+
+        // Hold the player's seat for the grace period instead of dropping them
+        const disconnected = roomManager.markPlayerDisconnected(socket.id, (roomCode, playerId) => {
+            const result = roomManager.removePlayerFromRoom(roomCode, playerId);
+            if (!result) return;
+
+            log(`Reconnect grace period expired for ${playerId} in room: ${roomCode}`);
+
+            if (!result.roomDeleted) {
+                qbitCityGameStateManager.removePlayer(roomCode, playerId);
+                replayRecorder.recordAction(roomCode, REPLAY_ACTIONS.LEAVE, playerId);
+                io.to(roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_LEFT, {
+                    playerId,
+                    room: result.room,
+                    newHostId: result.newHostId
+                });
+            } else {
                 // Clean up game state
                 qbitCityGameStateManager.cleanupRoom(roomCode);
+                io.to(roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_CLOSED, { roomCode });
+                io.in(getSpectatorRoom(roomCode)).socketsLeave([roomCode, getSpectatorRoom(roomCode)]);
+            }
+        });
+
+        if (disconnected) {
+            qbitCityGameStateManager.setPlayerConnected(disconnected.roomCode, disconnected.playerId, false);
+            replayRecorder.recordAction(disconnected.roomCode, REPLAY_ACTIONS.DISCONNECT, disconnected.playerId);
+            io.to(disconnected.roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_DISCONNECTED, {
+                playerId: disconnected.playerId,
+                room: disconnected.room
+            });
+        }
+    });
+
+    // CLOCK PONG
+    socket.on(SOCKET_EVENTS.CLIENT.CLOCK_PONG, (data) => {
+        try {
+            const estimate = clockSyncManager.handlePong(socket.id, data.pingId, data.clientTime);
+            if (!estimate) return;
+
+            const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            if (!roomCode) return;
+
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
+            const player = roomManager.setPlayerLatency(roomCode, playerId, estimate.rtt);
+            if (player) {
+                io.to(roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_LATENCY, { playerId, rtt: player.rtt });
             }
+        } catch (error) {
+            log(`Error handling clock pong: ${error.message}`);
+        }
+    });
+
+    // RESUME SESSION
+    socket.on(SOCKET_EVENTS.CLIENT.RESUME_SESSION, (data) => {
+        try {
+            const result = roomManager.resumeSession(data.reconnectToken, socket.id);
+            if (!result.valid) {
+                socket.emit(SOCKET_EVENTS.SERVER.RESUME_ERROR, { code: result.code, message: result.error });
+                return;
+            }
+
+            const { room, player, previousSocketId } = result;
+
+            if (matchmakingManager.dequeue(socket.id)) {
+                broadcastQueueStatus(io);
+            }
+
+            // Drop the stale socket if the server has not noticed it is gone
+            if (previousSocketId && previousSocketId !== socket.id) {
+                io.sockets.sockets.get(previousSocketId)?.disconnect(true);
+            }
+
+            socket.join(room.code);
+            qbitCityGameStateManager.setPlayerConnected(room.code, player.id, true);
+            replayRecorder.recordAction(room.code, REPLAY_ACTIONS.RECONNECT, player.id);
+
+            const gameState = room.status === ROOM_STATUS.PLAYING
+                ? qbitCityGameStateManager.getViewState(room.code, player.id)
+                : null;
+
+            socket.emit(SOCKET_EVENTS.SERVER.SESSION_RESUMED, {
+                room,
+                player,
+                reconnectToken: data.reconnectToken,
+                gameState
+            });
+            socket.to(room.code).emit(SOCKET_EVENTS.SERVER.PLAYER_RECONNECTED, {
+                playerId: player.id,
+                room
+            });
+
+            log(`Player ${player.name} resumed session in room: ${room.code}`);
+        } catch (error) {
+            log(`Error resuming session: ${error.message}`);
+            socket.emit(SOCKET_EVENTS.SERVER.RESUME_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to resume session' });
         }
     });
 }
@@ -0,0 +1,20 @@
+/**
+ * Leaderboard handlers
+ */
+
+import { SOCKET_EVENTS, ERROR_CODES } from '../config/constants.js';
+import leaderboardManager from '../services/LeaderboardManager.js';
+import { log } from 'console';
+
+export function registerLeaderboardHandlers(socket) {
+    // GET LEADERBOARD (payload already checked against LEADERBOARD_QUERY)
+    socket.on(SOCKET_EVENTS.CLIENT.GET_LEADERBOARD, async (data) => {
+        try {
+            const leaderboard = await leaderboardManager.getLeaderboard(data || {});
+            socket.emit(SOCKET_EVENTS.SERVER.LEADERBOARD, leaderboard);
+        } catch (error) {
+            log(`Error loading leaderboard: ${error.message}`);
+            socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to load leaderboard' });
+        }
+    });
+}
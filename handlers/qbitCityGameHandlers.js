@@ -2,127 +2,151 @@
  * Qbit City game event handlers
  */
 
-import { SOCKET_EVENTS, ROOM_STATUS } from '../config/constants.js';
+import { SOCKET_EVENTS, ROOM_STATUS, REPLAY_ACTIONS, GAME_CONFIG, ERROR_CODES } from '../config/constants.js';
 import roomManager from '../services/RoomManager.js';
 import qbitCityGameStateManager from '../services/QbitCityGameStateManager.js';
+import replayRecorder from '../services/ReplayRecorder.js';
+import snapshotManager from '../services/SnapshotManager.js';
+import clockSyncManager from '../services/ClockSyncManager.js';
+import antiCheatManager from '../services/AntiCheatManager.js';
+import { getGameMode } from '../services/gameModes/index.js';
 import { log } from 'console';
 
 /**
  * Register Qbit City game handlers
  */
 export function registerQbitCityGameHandlers(socket, io) {
+    // Every game event is rate limited before its handler runs; payloads were already schema-checked
+    const onGuarded = (event, handler) => socket.on(event, (data) => {
+        const check = antiCheatManager.checkEvent(socket.id, event);
+        if (!check.valid) {
+            if (check.strike) antiCheatManager.reportViolation(socket, check.reason);
+            return;
+        }
+        handler(data);
+    });
+
     // START GAME
-    socket.on(SOCKET_EVENTS.CLIENT.START_GAME, () => {
+    onGuarded(SOCKET_EVENTS.CLIENT.START_GAME, () => {
         try {
             const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
             if (!roomCode) {
-                socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { message: 'Not in any room' });
+                socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { code: ERROR_CODES.NOT_IN_ROOM, message: 'Not in any room' });
                 return;
             }
 
-            const validation = roomManager.validateStartGame(roomCode, socket.id);
+            const validation = roomManager.validateStartGame(roomCode, playerId);
             if (!validation.valid) {
-                socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { message: validation.error });
+                socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { code: validation.code, message: validation.error });
                 return;
             }
 
             // Start the game
             const room = roomManager.startGame(roomCode);
             if (!room) {
-                socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { message: 'Failed to start game' });
+                socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to start game' });
                 return;
             }
 
             // Initialize game state
             const gameState = qbitCityGameStateManager.initializeRoom(roomCode);
             if (!gameState) {
-                socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { message: 'Failed to initialize game' });
+                socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to initialize game' });
                 return;
             }
 
+            if (room.recordReplay) {
+                replayRecorder.startRecording(room, gameState);
+            }
+
             log(`Qbit City game started in room: ${roomCode}`);
 
-            // Notify all players
-            io.to(roomCode).emit(SOCKET_EVENTS.SERVER.GAME_STARTED, {
-                room,
-                gameState: {
-                    map: gameState.map,
-                    players: gameState.players,
-                    enemies: gameState.enemies,
-                    boats: gameState.boats,
-                    coins: gameState.coins,
-                    immunityPickups: gameState.immunityPickups,
-                    sinkCollectibles: gameState.sinkCollectibles,
-                    portals: gameState.portals,
-                    gameTime: 0
-                }
+            // Notify all players, each with the area of interest around their own player
+            io.sockets.adapter.rooms.get(roomCode)?.forEach(socketId => {
+                io.to(socketId).emit(SOCKET_EVENTS.SERVER.GAME_STARTED, {
+                    room,
+                    gameState: qbitCityGameStateManager.getViewState(roomCode, roomManager.getFocusPlayerId(socketId))
+                });
             });
         } catch (error) {
             log(`Error starting Qbit City game: ${error.message}`);
-            socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { message: 'Failed to start game' });
+            socket.emit(SOCKET_EVENTS.SERVER.START_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to start game' });
         }
     });
 
     // PLAYER INPUT
-    socket.on(SOCKET_EVENTS.CLIENT.PLAYER_INPUT, (inputData) => {
+    onGuarded(SOCKET_EVENTS.CLIENT.PLAYER_INPUT, (inputData) => {
         try {
             const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
             if (!roomCode) return;
 
             const room = roomManager.getRoom(roomCode);
             if (!room || room.status !== ROOM_STATUS.PLAYING) return;
 
+            // Map the client's timestamp onto server time; stale inputs are dropped
+            const timestamp = clockSyncManager.validateTimestamp(socket.id, inputData.timestamp);
+            if (timestamp === null) return;
+
+            // Sequenced inputs claim their own duration; never allow more movement than time has passed.
+            // Resends are dropped first so they neither spend the budget nor earn strikes.
+            if (Number.isInteger(inputData.seq)) {
+                if (qbitCityGameStateManager.isDuplicateInput(roomCode, playerId, inputData.seq)) return;
+
+                const duration = Math.min(
+                    inputData.duration ?? 1000 / GAME_CONFIG.TICK_RATE,
+                    GAME_CONFIG.MAX_INPUT_DURATION
+                );
+                if (!antiCheatManager.consumeMovementTime(socket.id, duration)) {
+                    antiCheatManager.reportViolation(socket, 'movement faster than player speed allows');
+                    return;
+                }
+            }
+
             // Buffer input with timestamp
-            qbitCityGameStateManager.bufferPlayerInput(
-                socket.id,
-                inputData,
-                inputData.timestamp || Date.now()
-            );
+            qbitCityGameStateManager.bufferPlayerInput(playerId, inputData, timestamp);
+            replayRecorder.recordInput(roomCode, playerId, inputData, timestamp);
         } catch (error) {
             log(`Error handling player input: ${error.message}`);
         }
     });
 
+    // SNAPSHOT ACK
+    onGuarded(SOCKET_EVENTS.CLIENT.SNAPSHOT_ACK, (data) => {
+        try {
+            const roomCode = roomManager.getViewedRoomCode(socket.id);
+            if (!roomCode) return;
+
+            snapshotManager.acknowledge(roomCode, socket.id, data.seq);
+        } catch (error) {
+            log(`Error handling snapshot ack: ${error.message}`);
+        }
+    });
+
     // USE PORTAL
-    socket.on(SOCKET_EVENTS.CLIENT.USE_PORTAL, () => {
+    onGuarded(SOCKET_EVENTS.CLIENT.USE_PORTAL, () => {
         try {
             const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
             if (!roomCode) return;
 
             const room = roomManager.getRoom(roomCode);
             if (!room || room.status !== ROOM_STATUS.PLAYING) return;
 
-            const gameState = qbitCityGameStateManager.getGameState(roomCode);
-            if (!gameState) return;
-
-            const player = gameState.players.find(p => p.id === socket.id);
-            if (!player) return;
+            const result = qbitCityGameStateManager.usePortal(roomCode, playerId);
+            if (!result) return;
 
-            if (player.energy < 1) {
-                socket.emit('action_error', { message: 'Energy not full' });
+            if (result.error) {
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: result.code, message: result.error });
                 return;
             }
 
-            // Create portal 1 second ahead of player
-            const spawnDist = player.speed * 1;
-            const px = player.x + player.dirX * spawnDist;
-            const py = player.y + player.dirY * spawnDist;
-
-            gameState.portals.push({
-                id: `portal_${Date.now()}_${Math.random()}`,
-                x: px,
-                y: py,
-                color: '#ff00ff',
-                angle: 0,
-                life: 10.0,
-                isPlayerCreated: true
-            });
-
-            player.energy = 0;
+            replayRecorder.recordAction(roomCode, REPLAY_ACTIONS.PORTAL, playerId);
 
             // Broadcast portal creation
             io.to(roomCode).emit('portal_created', {
-                portal: gameState.portals[gameState.portals.length - 1]
+                portal: result.portal
             });
         } catch (error) {
             log(`Error using portal: ${error.message}`);
@@ -130,37 +154,29 @@ export function registerQbitCityGameHandlers(socket, io) {
     });
 
     // DEPLOY SINK
-    socket.on(SOCKET_EVENTS.CLIENT.DEPLOY_SINK, () => {
+    onGuarded(SOCKET_EVENTS.CLIENT.DEPLOY_SINK, () => {
         try {
             const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
             if (!roomCode) return;
 
             const room = roomManager.getRoom(roomCode);
             if (!room || room.status !== ROOM_STATUS.PLAYING) return;
 
-            const gameState = qbitCityGameStateManager.getGameState(roomCode);
-            if (!gameState) return;
+            const result = qbitCityGameStateManager.deploySink(roomCode, playerId);
+            if (!result) return;
 
-            const player = gameState.players.find(p => p.id === socket.id);
-            if (!player) return;
-
-            if (player.sinkInventory <= 0) {
-                socket.emit('action_error', { message: 'No sink traps' });
+            if (result.error) {
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: result.code, message: result.error });
                 return;
             }
 
-            player.sinkInventory--;
-            gameState.deployedSinks.push({
-                id: `sink_${Date.now()}_${Math.random()}`,
-                x: player.x,
-                y: player.y,
-                deployTime: gameState.gameTime
-            });
+            replayRecorder.recordAction(roomCode, REPLAY_ACTIONS.SINK, playerId);
 
             // Broadcast sink deployment
             io.to(roomCode).emit('sink_deployed', {
-                sink: gameState.deployedSinks[gameState.deployedSinks.length - 1],
-                playerId: socket.id
+                sink: result.sink,
+                playerId
             });
         } catch (error) {
             log(`Error deploying sink: ${error.message}`);
@@ -168,37 +184,28 @@ export function registerQbitCityGameHandlers(socket, io) {
     });
 
     // ACTIVATE IMMUNITY
-    socket.on(SOCKET_EVENTS.CLIENT.ACTIVATE_IMMUNITY, () => {
+    onGuarded(SOCKET_EVENTS.CLIENT.ACTIVATE_IMMUNITY, () => {
         try {
             const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
             if (!roomCode) return;
 
             const room = roomManager.getRoom(roomCode);
             if (!room || room.status !== ROOM_STATUS.PLAYING) return;
 
-            const gameState = qbitCityGameStateManager.getGameState(roomCode);
-            if (!gameState) return;
-
-            const player = gameState.players.find(p => p.id === socket.id);
-            if (!player) return;
-
-            if (player.immunityInventory <= 0) {
-                socket.emit('action_error', { message: 'No immunity stored' });
-                return;
-            }
+            const result = qbitCityGameStateManager.activateImmunity(roomCode, playerId);
+            if (!result) return;
 
-            if (player.immunityActive) {
-                socket.emit('action_error', { message: 'Immunity already active' });
+            if (result.error) {
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: result.code, message: result.error });
                 return;
             }
 
-            player.immunityInventory--;
-            player.immunityActive = true;
-            player.immunityEndTime = gameState.gameTime + 10; // 10 seconds
+            replayRecorder.recordAction(roomCode, REPLAY_ACTIONS.IMMUNITY, playerId);
 
             // Broadcast immunity activation
             io.to(roomCode).emit('immunity_activated', {
-                playerId: socket.id
+                playerId
             });
         } catch (error) {
             log(`Error activating immunity: ${error.message}`);
@@ -206,50 +213,71 @@ export function registerQbitCityGameHandlers(socket, io) {
     });
 
     // RESPAWN PLAYER (Play Again)
-    socket.on(SOCKET_EVENTS.CLIENT.RESPAWN_PLAYER, () => {
+    onGuarded(SOCKET_EVENTS.CLIENT.RESPAWN_PLAYER, () => {
         try {
             const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
             if (!roomCode) {
-                socket.emit('action_error', { message: 'Not in any room' });
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: ERROR_CODES.NOT_IN_ROOM, message: 'Not in any room' });
                 return;
             }
 
             const room = roomManager.getRoom(roomCode);
             if (!room || room.status !== ROOM_STATUS.PLAYING) {
-                socket.emit('action_error', { message: 'Game not active' });
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: ERROR_CODES.GAME_NOT_ACTIVE, message: 'Game not active' });
+                return;
+            }
+
+            const gameState = qbitCityGameStateManager.getGameState(roomCode);
+            const player = gameState?.players.find(p => p.id === playerId);
+            if (!player) {
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: ERROR_CODES.PLAYER_NOT_FOUND, message: 'Not in this match' });
+                return;
+            }
+
+            // Respawning while alive would be a free teleport to a safe spawn
+            if (!player.isDead) {
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: ERROR_CODES.PLAYER_ALIVE, message: 'Only dead players can respawn' });
+                antiCheatManager.reportViolation(socket, 'respawn while alive');
+                return;
+            }
+
+            if (!getGameMode(gameState.mode).canRespawn(gameState, player)) {
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: ERROR_CODES.RESPAWN_DISABLED, message: 'Respawning is disabled in this match' });
                 return;
             }
 
             // Respawn the player
-            const respawnedPlayer = qbitCityGameStateManager.respawnPlayer(roomCode, socket.id);
+            const respawnedPlayer = qbitCityGameStateManager.respawnPlayer(roomCode, playerId);
             if (!respawnedPlayer) {
-                socket.emit('action_error', { message: 'Failed to respawn' });
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to respawn' });
                 return;
             }
 
-            log(`Player respawned in room ${roomCode}: ${socket.id}`);
+            replayRecorder.recordAction(roomCode, REPLAY_ACTIONS.RESPAWN, playerId);
+            log(`Player respawned in room ${roomCode}: ${playerId}`);
 
             // Notify the player that they've been respawned
             socket.emit(SOCKET_EVENTS.SERVER.PLAYER_RESPAWNED, {
                 player: respawnedPlayer,
-                gameState: qbitCityGameStateManager.getGameState(roomCode)
+                gameState: qbitCityGameStateManager.getViewState(roomCode, playerId)
             });
 
             // Notify other players about the respawn
-            socket.to(roomCode).emit('player_rejoined', {
-                playerId: socket.id,
+            socket.to(roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_REJOINED, {
+                playerId,
                 playerName: respawnedPlayer.name
             });
         } catch (error) {
             log(`Error respawning player: ${error.message}`);
-            socket.emit('action_error', { message: 'Failed to respawn' });
+            socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to respawn' });
         }
     });
 
     // GET GAME STATE
-    socket.on(SOCKET_EVENTS.CLIENT.GET_GAME_STATE, () => {
+    onGuarded(SOCKET_EVENTS.CLIENT.GET_GAME_STATE, () => {
         try {
-            const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const roomCode = roomManager.getViewedRoomCode(socket.id);
             if (!roomCode) {
                 socket.emit(SOCKET_EVENTS.SERVER.GAME_STATE, { gameState: null });
                 return;
@@ -261,25 +289,9 @@ export function registerQbitCityGameHandlers(socket, io) {
                 return;
             }
 
-            const gameState = qbitCityGameStateManager.getGameState(roomCode);
-            if (!gameState) {
-                socket.emit(SOCKET_EVENTS.SERVER.GAME_STATE, { gameState: null });
-                return;
-            }
-
+            // Same area of interest as the regular game_state broadcasts
             socket.emit(SOCKET_EVENTS.SERVER.GAME_STATE, {
-                gameState: {
-                    map: gameState.map,
-                    players: gameState.players,
-                    enemies: gameState.enemies,
-                    boats: gameState.boats,
-                    coins: gameState.coins.filter(c => !c.collected),
-                    immunityPickups: gameState.immunityPickups.filter(p => !p.collected),
-                    sinkCollectibles: gameState.sinkCollectibles.filter(s => !s.collected),
-                    deployedSinks: gameState.deployedSinks,
-                    portals: gameState.portals,
-                    gameTime: gameState.gameTime
-                }
+                gameState: qbitCityGameStateManager.getViewState(roomCode, roomManager.getFocusPlayerId(socket.id))
             });
         } catch (error) {
             log(`Error getting game state: ${error.message}`);
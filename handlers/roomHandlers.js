@@ -2,77 +2,177 @@
  * Room management handlers (reused from OPS backend)
  */
 
-import { SOCKET_EVENTS } from '../config/constants.js';
+import { SOCKET_EVENTS, ROOM_STATUS, REPLAY_ACTIONS, ERROR_CODES, MATCHMAKING_CONFIG } from '../config/constants.js';
 import roomManager from '../services/RoomManager.js';
+import qbitCityGameStateManager from '../services/QbitCityGameStateManager.js';
+import replayRecorder from '../services/ReplayRecorder.js';
+import snapshotManager from '../services/SnapshotManager.js';
+import matchmakingManager from '../services/MatchmakingManager.js';
+import { getSpectatorRoom } from '../utils/roomUtils.js';
 import { log } from 'console';
 
+/**
+ * Tell every queued socket where it stands in the quick play queue
+ */
+export function broadcastQueueStatus(io) {
+    matchmakingManager.getQueuedSocketIds().forEach(socketId => {
+        io.to(socketId).emit(SOCKET_EVENTS.SERVER.QUEUE_UPDATE, matchmakingManager.getStatus(socketId));
+    });
+}
+
+/**
+ * Add a socket to a room as a player, dropping it into the match if one is running
+ * @returns {boolean} - false if the join was rejected
+ */
+function joinRoom(socket, io, roomCode, playerName) {
+    const validation = roomManager.validateJoinRoom(roomCode, socket.id);
+    if (!validation.valid) {
+        socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: validation.code, message: validation.error });
+        return false;
+    }
+
+    const player = roomManager.addPlayerToRoom(roomCode, socket.id, playerName);
+    if (!player) {
+        socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to join room' });
+        return false;
+    }
+
+    if (matchmakingManager.dequeue(socket.id)) {
+        broadcastQueueStatus(io);
+    }
+
+    const reconnectToken = roomManager.issueReconnectToken(roomCode, player.id);
+
+    socket.join(roomCode);
+    const room = roomManager.getRoom(roomCode);
+
+    // Late joiners spawn straight into the running match and get the state around them to start from
+    let gameState = null;
+    if (room.status === ROOM_STATUS.PLAYING) {
+        qbitCityGameStateManager.addLatePlayer(roomCode, player);
+        replayRecorder.recordAction(roomCode, REPLAY_ACTIONS.JOIN, player.id, { name: player.name, teamId: player.teamId });
+        gameState = qbitCityGameStateManager.getViewState(roomCode, player.id);
+    }
+
+    socket.emit(SOCKET_EVENTS.SERVER.ROOM_JOINED, { room, player, reconnectToken, gameState });
+    socket.to(roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_JOINED, { player, room });
+
+    log(`Player ${player.name} joined room: ${roomCode}`);
+    return true;
+}
+
+/**
+ * Open a public room for a batch of queued players; the first in line hosts
+ */
+function createQuickPlayRoom(io, entries) {
+    // Skip sockets that have gone, or found a room some other way, since they queued
+    const ready = entries.filter(entry =>
+        io.sockets.sockets.has(entry.socketId) && !roomManager.getViewedRoomCode(entry.socketId));
+    if (ready.length === 0) return;
+
+    const [hostEntry, ...others] = ready;
+    const hostSocket = io.sockets.sockets.get(hostEntry.socketId);
+
+    const room = roomManager.createRoom(hostEntry.socketId, {
+        name: hostEntry.playerName,
+        maxPlayers: MATCHMAKING_CONFIG.QUICK_PLAY_MAX_PLAYERS,
+        isPublic: true
+    });
+    const reconnectToken = roomManager.issueReconnectToken(room.code, hostEntry.socketId);
+
+    hostSocket.join(room.code);
+    hostSocket.emit(SOCKET_EVENTS.SERVER.ROOM_CREATED, { room, reconnectToken });
+
+    others.forEach(entry => {
+        const socket = io.sockets.sockets.get(entry.socketId);
+        if (socket) joinRoom(socket, io, room.code, entry.playerName);
+    });
+
+    log(`Quick play room created: ${room.code} for ${ready.length} player(s)`);
+}
+
 export function registerRoomHandlers(socket, io) {
     // CREATE ROOM
     socket.on(SOCKET_EVENTS.CLIENT.CREATE_ROOM, (data) => {
         try {
             const room = roomManager.createRoom(socket.id, {
                 name: data?.name,
-                maxPlayers: data?.maxPlayers
+                maxPlayers: data?.maxPlayers,
+                endConditions: data?.endConditions,
+                recordReplay: data?.recordReplay,
+                allowLateJoin: data?.allowLateJoin,
+                isPublic: data?.isPublic,
+                mode: data?.mode,
+                rules: data?.rules,
+                mapLayout: data?.mapLayout,
+                mapSeed: data?.mapSeed,
+                mapWidth: data?.mapWidth,
+                mapHeight: data?.mapHeight
             });
 
+            if (matchmakingManager.dequeue(socket.id)) {
+                broadcastQueueStatus(io);
+            }
+
+            const reconnectToken = roomManager.issueReconnectToken(room.code, socket.id);
+
             socket.join(room.code);
-            socket.emit(SOCKET_EVENTS.SERVER.ROOM_CREATED, { room });
+            socket.emit(SOCKET_EVENTS.SERVER.ROOM_CREATED, { room, reconnectToken });
             log(`Room created: ${room.code} by ${socket.id}`);
         } catch (error) {
             log(`Error creating room: ${error.message}`);
-            socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { message: 'Failed to create room' });
+            socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to create room' });
         }
     });
 
     // JOIN ROOM
     socket.on(SOCKET_EVENTS.CLIENT.JOIN_ROOM, (data) => {
         try {
-            const { roomCode, playerName } = data;
-
-            const validation = roomManager.validateJoinRoom(roomCode, socket.id);
-            if (!validation.valid) {
-                socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { message: validation.error });
-                return;
-            }
-
-            const player = roomManager.addPlayerToRoom(roomCode, socket.id, playerName);
-            if (!player) {
-                socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { message: 'Failed to join room' });
-                return;
-            }
-
-            socket.join(roomCode);
-            const room = roomManager.getRoom(roomCode);
-
-            socket.emit(SOCKET_EVENTS.SERVER.ROOM_JOINED, { room, player });
-            socket.to(roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_JOINED, { player, room });
-
-            log(`Player ${player.name} joined room: ${roomCode}`);
+            joinRoom(socket, io, data.roomCode, data.playerName);
         } catch (error) {
             log(`Error joining room: ${error.message}`);
-            socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { message: 'Failed to join room' });
+            socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to join room' });
         }
     });
 
     // LEAVE ROOM
     socket.on(SOCKET_EVENTS.CLIENT.LEAVE_ROOM, () => {
         try {
+            const spectated = roomManager.removeSpectator(socket.id);
+            if (spectated) {
+                socket.leave(spectated.roomCode);
+                socket.leave(getSpectatorRoom(spectated.roomCode));
+                snapshotManager.removeClient(socket.id);
+                socket.emit(SOCKET_EVENTS.SERVER.ROOM_LEFT, { roomCode: spectated.roomCode });
+                io.to(spectated.roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_UPDATE, { room: spectated.room });
+                log(`Spectator left room: ${spectated.roomCode}`);
+                return;
+            }
+
             const roomCode = roomManager.getRoomCodeForSocket(socket.id);
             if (!roomCode) return;
 
-            const result = roomManager.removePlayerFromRoom(roomCode, socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
+            const result = roomManager.removePlayerFromRoom(roomCode, playerId);
             if (!result) return;
 
             socket.leave(roomCode);
+            snapshotManager.removeClient(socket.id);
             socket.emit(SOCKET_EVENTS.SERVER.ROOM_LEFT, { roomCode });
 
             if (!result.roomDeleted) {
+                qbitCityGameStateManager.removePlayer(roomCode, playerId);
+                replayRecorder.recordAction(roomCode, REPLAY_ACTIONS.LEAVE, playerId);
                 const room = roomManager.getRoom(roomCode);
                 socket.to(roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_LEFT, {
-                    playerId: socket.id,
+                    playerId,
                     room,
                     newHostId: result.newHostId
                 });
+            } else {
+                qbitCityGameStateManager.cleanupRoom(roomCode);
+                io.to(roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_CLOSED, { roomCode });
+                io.in(getSpectatorRoom(roomCode)).socketsLeave([roomCode, getSpectatorRoom(roomCode)]);
             }
 
             log(`Player left room: ${roomCode}`);
@@ -80,4 +180,196 @@ export function registerRoomHandlers(socket, io) {
             log(`Error leaving room: ${error.message}`);
         }
     });
+
+    // UPDATE ROOM SETTINGS (host only, in the lobby)
+    socket.on(SOCKET_EVENTS.CLIENT.UPDATE_ROOM_SETTINGS, (data) => {
+        try {
+            const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
+            if (!roomCode) {
+                socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: ERROR_CODES.NOT_IN_ROOM, message: 'Not in any room' });
+                return;
+            }
+
+            const validation = roomManager.validateUpdateSettings(roomCode, playerId, data);
+            if (!validation.valid) {
+                socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: validation.code, message: validation.error });
+                return;
+            }
+
+            const room = roomManager.updateSettings(roomCode, data);
+            io.to(roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_UPDATE, { room });
+            log(`Room settings updated: ${roomCode}`);
+        } catch (error) {
+            log(`Error updating room settings: ${error.message}`);
+            socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to update room settings' });
+        }
+    });
+
+    // SELECT TEAM (team mode lobby)
+    socket.on(SOCKET_EVENTS.CLIENT.SELECT_TEAM, (data) => {
+        try {
+            const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
+            if (!roomCode) {
+                socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: ERROR_CODES.NOT_IN_ROOM, message: 'Not in any room' });
+                return;
+            }
+
+            const targetId = data.playerId ?? playerId;
+            const validation = roomManager.validateSelectTeam(roomCode, playerId, targetId);
+            if (!validation.valid) {
+                socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: validation.code, message: validation.error });
+                return;
+            }
+
+            const room = roomManager.selectTeam(roomCode, targetId, data.teamId);
+            io.to(roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_UPDATE, { room });
+        } catch (error) {
+            log(`Error selecting team: ${error.message}`);
+            socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to select team' });
+        }
+    });
+
+    // RETURN TO LOBBY (rematch with the same room code)
+    socket.on(SOCKET_EVENTS.CLIENT.RETURN_TO_LOBBY, () => {
+        try {
+            const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+            const playerId = roomManager.getPlayerIdForSocket(socket.id);
+            if (!roomCode) {
+                socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: ERROR_CODES.NOT_IN_ROOM, message: 'Not in any room' });
+                return;
+            }
+
+            const validation = roomManager.validateReturnToLobby(roomCode, playerId);
+            if (!validation.valid) {
+                socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: validation.code, message: validation.error });
+                return;
+            }
+
+            const room = roomManager.returnToLobby(roomCode);
+            qbitCityGameStateManager.cleanupRoom(roomCode);
+
+            io.to(roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_UPDATE, { room });
+            log(`Room returned to lobby: ${roomCode}`);
+        } catch (error) {
+            log(`Error returning to lobby: ${error.message}`);
+            socket.emit(SOCKET_EVENTS.SERVER.LOBBY_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to return to lobby' });
+        }
+    });
+
+    // SPECTATE ROOM (running and full rooms included; spectators never take a player slot)
+    socket.on(SOCKET_EVENTS.CLIENT.SPECTATE_ROOM, (data) => {
+        try {
+            const { roomCode, name } = data;
+
+            const validation = roomManager.validateSpectateRoom(roomCode, socket.id);
+            if (!validation.valid) {
+                socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: validation.code, message: validation.error });
+                return;
+            }
+
+            const spectator = roomManager.addSpectator(roomCode, socket.id, name);
+            if (!spectator) {
+                socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to spectate room' });
+                return;
+            }
+
+            if (matchmakingManager.dequeue(socket.id)) {
+                broadcastQueueStatus(io);
+            }
+
+            // Spectators get the room's broadcasts; the sub-room tells them apart from players
+            socket.join(roomCode);
+            socket.join(getSpectatorRoom(roomCode));
+            const room = roomManager.getRoom(roomCode);
+
+            // Same view as the spectator stream: around the followed player, or everything until they pick one
+            socket.emit(SOCKET_EVENTS.SERVER.SPECTATING, {
+                room,
+                spectator,
+                gameState: qbitCityGameStateManager.getViewState(roomCode, spectator.following)
+            });
+            socket.to(roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_UPDATE, { room });
+
+            log(`Spectator ${spectator.name} watching room: ${roomCode}`);
+        } catch (error) {
+            log(`Error spectating room: ${error.message}`);
+            socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to spectate room' });
+        }
+    });
+
+    // FOLLOW PLAYER (spectator camera)
+    socket.on(SOCKET_EVENTS.CLIENT.FOLLOW_PLAYER, (data) => {
+        try {
+            const result = roomManager.setSpectatorFollow(socket.id, data.playerId);
+            if (!result.valid) {
+                socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, { code: result.code, message: result.error });
+                return;
+            }
+
+            socket.emit(SOCKET_EVENTS.SERVER.FOLLOW_UPDATED, { playerId: result.spectator.following });
+        } catch (error) {
+            log(`Error following player: ${error.message}`);
+        }
+    });
+
+    // LIST ROOMS (public room browser)
+    socket.on(SOCKET_EVENTS.CLIENT.LIST_ROOMS, () => {
+        try {
+            socket.emit(SOCKET_EVENTS.SERVER.ROOM_LIST, { rooms: roomManager.listPublicRooms() });
+        } catch (error) {
+            log(`Error listing rooms: ${error.message}`);
+            socket.emit(SOCKET_EVENTS.SERVER.ROOM_LIST, { rooms: [] });
+        }
+    });
+
+    // QUICK PLAY: join the fullest open public room, or queue until enough players want one
+    socket.on(SOCKET_EVENTS.CLIENT.QUICK_PLAY, (data) => {
+        try {
+            if (roomManager.getRoomCodeForSocket(socket.id) || roomManager.getSpectatedRoomCode(socket.id)) {
+                socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: ERROR_CODES.ALREADY_IN_ROOM, message: 'Leave your current room first' });
+                return;
+            }
+
+            if (matchmakingManager.isQueued(socket.id)) {
+                socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: ERROR_CODES.ALREADY_QUEUED, message: 'Already in the quick play queue' });
+                return;
+            }
+
+            const [openRoom] = roomManager.listPublicRooms();
+            if (openRoom) {
+                joinRoom(socket, io, openRoom.code, data?.playerName);
+                return;
+            }
+
+            matchmakingManager.enqueue(socket.id, data?.playerName);
+            const match = matchmakingManager.takeMatch();
+            if (match) {
+                createQuickPlayRoom(io, match);
+            }
+            broadcastQueueStatus(io);
+        } catch (error) {
+            log(`Error in quick play: ${error.message}`);
+            socket.emit(SOCKET_EVENTS.SERVER.JOIN_ERROR, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to find a game' });
+        }
+    });
+
+    // CANCEL QUICK PLAY
+    socket.on(SOCKET_EVENTS.CLIENT.CANCEL_QUICK_PLAY, () => {
+        try {
+            if (!matchmakingManager.dequeue(socket.id)) return;
+
+            socket.emit(SOCKET_EVENTS.SERVER.QUEUE_UPDATE, matchmakingManager.getStatus(socket.id));
+            broadcastQueueStatus(io);
+        } catch (error) {
+            log(`Error cancelling quick play: ${error.message}`);
+        }
+    });
+
+    socket.on('disconnect', () => {
+        if (matchmakingManager.dequeue(socket.id)) {
+            broadcastQueueStatus(io);
+        }
+    });
 }
@@ -0,0 +1,33 @@
+/**
+ * Replay a recorded match headlessly
+ * Usage: node scripts/replay.js <replay-file> [--frames]
+ *   --frames  print every game_state frame as one JSON line
+ */
+
+import { log } from 'console';
+import ReplayRunner, { loadReplay } from '../services/ReplayRunner.js';
+
+const [filePath, ...flags] = process.argv.slice(2);
+if (!filePath) {
+    log('Usage: node scripts/replay.js <replay-file> [--frames]');
+    process.exit(1);
+}
+
+const printFrames = flags.includes('--frames');
+const replay = await loadReplay(filePath);
+
+let frameCount = 0;
+const runner = new ReplayRunner(replay, (event, data) => {
+    if (event === 'game_state') {
+        frameCount++;
+        if (printFrames) process.stdout.write(`${JSON.stringify(data)}\n`);
+    } else if (!printFrames) {
+        log(`[${event}] ${JSON.stringify(data)}`);
+    }
+});
+
+const finalState = runner.run();
+
+if (!printFrames) {
+    log(`Replayed room ${replay.roomCode} (seed ${replay.seed}): ${frameCount} frames, ${finalState.gameTime.toFixed(2)}s`);
+}
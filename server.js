@@ -6,9 +6,15 @@ import express from 'express';
 import http from 'http';
 import cors from 'cors';
 import { log } from 'console';
-import { SERVER_CONFIG } from './config/constants.js';
+import { SERVER_CONFIG, ERROR_CODES } from './config/constants.js';
 import { setupSocketIO } from './socket/socketSetup.js';
 import QbitCityGameLoop from './services/QbitCityGameLoop.js';
+import roomManager from './services/RoomManager.js';
+import leaderboardManager from './services/LeaderboardManager.js';
+import { listGameModes } from './services/gameModes/index.js';
+import { listMapLayouts, listCustomMaps, loadCustomMaps } from './services/maps/index.js';
+import { LEADERBOARD_QUERY } from './config/eventSchemas.js';
+import { validateSchema, coerceQueryParams } from './utils/schemaValidator.js';
 
 // Initialize Express app
 const app = express();
@@ -30,6 +36,41 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', service: 'qbit-city-server' });
 });
 
+// Public room browser
+app.get('/rooms', (req, res) => {
+    res.json({ rooms: roomManager.listPublicRooms() });
+});
+
+// Game modes a host can pick in the lobby
+app.get('/modes', (req, res) => {
+    res.json({ modes: listGameModes() });
+});
+
+// Map layouts and hand-made maps a host can pick in the lobby
+app.get('/maps', (req, res) => {
+    res.json({ layouts: listMapLayouts(), customMaps: listCustomMaps() });
+});
+
+// Best runs, e.g. /leaderboard?period=weekly&mode=coin_rush&timeLimit=120
+app.get('/leaderboard', async (req, res) => {
+    const query = coerceQueryParams(LEADERBOARD_QUERY, req.query);
+    const error = validateSchema(LEADERBOARD_QUERY, query, 'query');
+    if (error) {
+        res.status(400).json({ code: ERROR_CODES.INVALID_PAYLOAD, message: error });
+        return;
+    }
+
+    try {
+        res.json(await leaderboardManager.getLeaderboard(query));
+    } catch (err) {
+        log(`Error loading leaderboard: ${err.message}`);
+        res.status(500).json({ code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to load leaderboard' });
+    }
+});
+
+// Hand-made maps have to be validated before a lobby can pick them
+await loadCustomMaps();
+
 // Start server
 const PORT = SERVER_CONFIG.PORT;
 server.listen(PORT, () => {
@@ -0,0 +1,150 @@
+/**
+ * Anti-Cheat Service
+ * Per-socket rate limiting, movement time budgets and violation strikes.
+ * Payload shapes are enforced separately by the event schemas.
+ */
+
+import { SOCKET_EVENTS, ANTI_CHEAT_CONFIG, REPLAY_ACTIONS } from '../config/constants.js';
+import roomManager from './RoomManager.js';
+import qbitCityGameStateManager from './QbitCityGameStateManager.js';
+import replayRecorder from './ReplayRecorder.js';
+import { getSpectatorRoom } from '../utils/roomUtils.js';
+
+class AntiCheatManager {
+    constructor() {
+        // socketId -> { events: Map<event, { windowStart, count }>, strikes, lastStrikeDecay, movementBudget, lastBudgetRefill }
+        this.clients = new Map();
+    }
+
+    getClient(socketId, now = Date.now()) {
+        if (!this.clients.has(socketId)) {
+            this.clients.set(socketId, {
+                events: new Map(),
+                strikes: 0,
+                lastStrikeDecay: now,
+                movementBudget: ANTI_CHEAT_CONFIG.MOVEMENT_BURST,
+                lastBudgetRefill: now
+            });
+        }
+        return this.clients.get(socketId);
+    }
+
+    /**
+     * Rate limit an incoming event
+     * @returns {object} - { valid, reason, strike } where strike marks a violation worth a strike
+     */
+    checkEvent(socketId, event, now = Date.now()) {
+        const client = this.getClient(socketId, now);
+
+        const limit = ANTI_CHEAT_CONFIG.RATE_LIMITS[event];
+        if (limit !== undefined) {
+            let window = client.events.get(event);
+            if (!window || now - window.windowStart >= 1000) {
+                window = { windowStart: now, count: 0 };
+                client.events.set(event, window);
+            }
+
+            window.count++;
+            // Only the first excess event in a window counts as a violation
+            if (window.count > limit) {
+                return { valid: false, reason: `rate limit exceeded for ${event}`, strike: window.count === limit + 1 };
+            }
+        }
+
+        return { valid: true, reason: null, strike: false };
+    }
+
+    /**
+     * Spend movement time for a sequenced input. The budget refills in real time,
+     * so a client can never move further than player.speed allows over the time elapsed.
+     * @returns {boolean} - false if the claimed duration exceeds the budget
+     */
+    consumeMovementTime(socketId, durationMs, now = Date.now()) {
+        const client = this.getClient(socketId, now);
+
+        client.movementBudget = Math.min(
+            ANTI_CHEAT_CONFIG.MOVEMENT_BURST,
+            client.movementBudget + (now - client.lastBudgetRefill)
+        );
+        client.lastBudgetRefill = now;
+
+        if (durationMs > client.movementBudget + ANTI_CHEAT_CONFIG.MOVEMENT_TOLERANCE) {
+            return false;
+        }
+
+        client.movementBudget = Math.max(0, client.movementBudget - durationMs);
+        return true;
+    }
+
+    /**
+     * Add a strike, after letting older strikes decay
+     * @returns {number} - Current strike count
+     */
+    addStrike(socketId, now = Date.now()) {
+        const client = this.getClient(socketId, now);
+
+        const decayed = Math.floor((now - client.lastStrikeDecay) / ANTI_CHEAT_CONFIG.STRIKE_DECAY_INTERVAL);
+        if (decayed > 0) {
+            client.strikes = Math.max(0, client.strikes - decayed);
+            client.lastStrikeDecay += decayed * ANTI_CHEAT_CONFIG.STRIKE_DECAY_INTERVAL;
+        }
+
+        client.strikes++;
+        return client.strikes;
+    }
+
+    /**
+     * Log a violation and add a strike: warn at WARN_STRIKES, kick at KICK_STRIKES
+     */
+    reportViolation(socket, reason) {
+        const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+        const playerId = roomManager.getPlayerIdForSocket(socket.id);
+        const strikes = this.addStrike(socket.id);
+
+        console.log(`Anti-cheat violation in room ${roomCode || '-'} by ${playerId || socket.id}: ${reason} (strike ${strikes})`);
+
+        if (strikes >= ANTI_CHEAT_CONFIG.KICK_STRIKES) {
+            console.log(`Kicking ${playerId || socket.id} from room ${roomCode || '-'}`);
+            this.kick(socket, 'Too many violations');
+        } else if (strikes >= ANTI_CHEAT_CONFIG.WARN_STRIKES) {
+            socket.emit(SOCKET_EVENTS.SERVER.ANTI_CHEAT_WARNING, { reason, strikes });
+        }
+    }
+
+    /**
+     * Remove a cheating player from their room for good and drop the socket
+     */
+    kick(socket, reason) {
+        const roomCode = roomManager.getRoomCodeForSocket(socket.id);
+        const playerId = roomManager.getPlayerIdForSocket(socket.id);
+
+        socket.emit(SOCKET_EVENTS.SERVER.KICKED, { reason });
+
+        if (roomCode) {
+            const result = roomManager.removePlayerFromRoom(roomCode, playerId);
+            if (result && !result.roomDeleted) {
+                qbitCityGameStateManager.removePlayer(roomCode, playerId);
+                replayRecorder.recordAction(roomCode, REPLAY_ACTIONS.LEAVE, playerId);
+                socket.to(roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_LEFT, {
+                    playerId,
+                    room: result.room,
+                    newHostId: result.newHostId
+                });
+            } else if (result?.roomDeleted) {
+                qbitCityGameStateManager.cleanupRoom(roomCode);
+                socket.to(roomCode).emit(SOCKET_EVENTS.SERVER.ROOM_CLOSED, { roomCode });
+                socket.nsp.in(getSpectatorRoom(roomCode)).socketsLeave([roomCode, getSpectatorRoom(roomCode)]);
+            }
+        }
+
+        socket.disconnect(true);
+    }
+
+    removeSocket(socketId) {
+        this.clients.delete(socketId);
+    }
+}
+
+// Export singleton instance
+const antiCheatManager = new AntiCheatManager();
+export default antiCheatManager;
@@ -0,0 +1,95 @@
+/**
+ * Clock Synchronization Service
+ * Estimates round-trip time and clock offset per socket, and maps client input timestamps onto server time
+ */
+
+import { GAME_CONFIG, CLOCK_SYNC_CONFIG } from '../config/constants.js';
+
+class ClockSyncManager {
+    constructor() {
+        // socketId -> { nextPingId, pending: Map<pingId, sentAt>, rtt, offset }
+        this.clocks = new Map();
+    }
+
+    getClock(socketId) {
+        if (!this.clocks.has(socketId)) {
+            this.clocks.set(socketId, { nextPingId: 1, pending: new Map(), rtt: null, offset: null });
+        }
+        return this.clocks.get(socketId);
+    }
+
+    /**
+     * Build a ping payload, carrying the current estimate so the client can sync too
+     */
+    createPing(socketId, now = Date.now()) {
+        const clock = this.getClock(socketId);
+
+        // Forget pings that were never answered
+        clock.pending.forEach((sentAt, pingId) => {
+            if (now - sentAt > CLOCK_SYNC_CONFIG.PING_TIMEOUT) clock.pending.delete(pingId);
+        });
+
+        const pingId = clock.nextPingId++;
+        clock.pending.set(pingId, now);
+
+        return { pingId, serverTime: now, rtt: clock.rtt, offset: clock.offset };
+    }
+
+    /**
+     * Fold a pong into the smoothed estimate
+     * @returns {object|null} - Updated { rtt, offset } or null if the pong matched no ping
+     */
+    handlePong(socketId, pingId, clientTime, now = Date.now()) {
+        const clock = this.clocks.get(socketId);
+        const sentAt = clock?.pending.get(pingId);
+        if (sentAt === undefined || !Number.isFinite(clientTime)) return null;
+
+        clock.pending.delete(pingId);
+
+        const rtt = now - sentAt;
+        // Client clock minus server clock, assuming the reply took half the round trip
+        const offset = clientTime - (sentAt + rtt / 2);
+
+        if (clock.rtt === null) {
+            clock.rtt = rtt;
+            clock.offset = offset;
+        } else {
+            clock.rtt += (rtt - clock.rtt) * CLOCK_SYNC_CONFIG.SMOOTHING;
+            clock.offset += (offset - clock.offset) * CLOCK_SYNC_CONFIG.SMOOTHING;
+        }
+
+        return { rtt: clock.rtt, offset: clock.offset };
+    }
+
+    getEstimate(socketId) {
+        const clock = this.clocks.get(socketId);
+        if (!clock || clock.rtt === null) return null;
+        return { rtt: clock.rtt, offset: clock.offset };
+    }
+
+    /**
+     * Convert a client input timestamp to server time.
+     * Future timestamps are clamped to now; ones older than MAX_INPUT_LAG are rejected.
+     * @returns {number|null} - Server timestamp, or null if the input should be dropped
+     */
+    validateTimestamp(socketId, clientTimestamp, now = Date.now()) {
+        const estimate = this.getEstimate(socketId);
+
+        // Without a synced clock the client's timestamp means nothing to us
+        if (!estimate || !Number.isFinite(clientTimestamp)) return now;
+
+        const serverTimestamp = clientTimestamp - estimate.offset;
+        if (serverTimestamp > now) return now;
+        if (now - serverTimestamp > GAME_CONFIG.MAX_INPUT_LAG) return null;
+
+        return serverTimestamp;
+    }
+
+    removeSocket(socketId) {
+        this.clocks.delete(socketId);
+    }
+}
+
+// Export singleton instance
+const clockSyncManager = new ClockSyncManager();
+export default clockSyncManager;
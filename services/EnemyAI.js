@@ -0,0 +1,183 @@
+/**
+ * Enemy AI Service
+ * Picks a goal for each enemy from its behaviour profile and routes it there with A* over the tile grid.
+ * Path searches are rationed per tick; all AI state lives on the enemies so replays stay deterministic.
+ */
+
+import { ENEMY_BEHAVIORS, ENEMY_AI_CONFIG } from '../config/constants.js';
+import { nextRandom, randomInt } from '../utils/random.js';
+import { findPath, isWalkable } from '../utils/pathfinding.js';
+
+function toTile(map, x, y) {
+    const { tileSize } = map;
+    return { gx: Math.floor(x / tileSize), gy: Math.floor(y / tileSize) };
+}
+
+function tileCenter(map, { gx, gy }) {
+    const { tileSize } = map;
+    return { x: gx * tileSize + tileSize / 2, y: gy * tileSize + tileSize / 2 };
+}
+
+class EnemyAI {
+    /**
+     * Roll a behaviour profile for a new enemy
+     */
+    pickBehavior(gameState) {
+        const roll = nextRandom(gameState);
+        let cumulative = 0;
+        for (const [behavior, weight] of Object.entries(ENEMY_AI_CONFIG.BEHAVIOR_WEIGHTS)) {
+            cumulative += weight;
+            if (roll < cumulative) return behavior;
+        }
+        return ENEMY_BEHAVIORS.CHASER;
+    }
+
+    /**
+     * AI fields for a freshly spawned enemy
+     */
+    createState(gameState, x, y) {
+        return {
+            behavior: this.pickBehavior(gameState),
+            patrolOrigin: { x, y },
+            patrolPoint: null,
+            goal: null,
+            path: [],
+            repathAt: 0
+        };
+    }
+
+    findNearestPlayer(gameState, enemy) {
+        let nearest = null;
+        let minDist = Infinity;
+
+        gameState.players.forEach(player => {
+            if (player.disconnected || player.isDead) return;
+
+            const dist = Math.hypot(player.x - enemy.x, player.y - enemy.y);
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = player;
+            }
+        });
+
+        return nearest ? { player: nearest, dist: minDist } : null;
+    }
+
+    /**
+     * Where the enemy wants to be this tick, or null to stand still
+     */
+    chooseGoal(gameState, enemy) {
+        const { map } = gameState;
+        const nearest = this.findNearestPlayer(gameState, enemy);
+
+        switch (enemy.behavior) {
+            case ENEMY_BEHAVIORS.AMBUSHER: {
+                if (!nearest) return null;
+                const { player, dist } = nearest;
+                if (dist < ENEMY_AI_CONFIG.DIRECT_CHASE_RANGE * 2) return { x: player.x, y: player.y };
+
+                // Aim where the player is heading, unless that lands somewhere unreachable
+                const ahead = {
+                    x: Math.max(0, Math.min(map.width - 1, player.x + player.velX * ENEMY_AI_CONFIG.AMBUSH_LOOKAHEAD)),
+                    y: Math.max(0, Math.min(map.height - 1, player.y + player.velY * ENEMY_AI_CONFIG.AMBUSH_LOOKAHEAD))
+                };
+                const tile = toTile(map, ahead.x, ahead.y);
+                return isWalkable(map.tiles, tile.gx, tile.gy, enemy.crossesLava) ? ahead : { x: player.x, y: player.y };
+            }
+
+            case ENEMY_BEHAVIORS.PATROLLER: {
+                if (nearest && nearest.dist <= ENEMY_AI_CONFIG.PATROL_AGGRO_RANGE) {
+                    enemy.patrolPoint = null;
+                    return { x: nearest.player.x, y: nearest.player.y };
+                }
+
+                const reached = enemy.patrolPoint &&
+                    Math.hypot(enemy.patrolPoint.x - enemy.x, enemy.patrolPoint.y - enemy.y) <= ENEMY_AI_CONFIG.WAYPOINT_RADIUS;
+                if (!enemy.patrolPoint || reached) {
+                    enemy.patrolPoint = this.pickPatrolPoint(gameState, enemy);
+                    enemy.repathAt = 0;
+                }
+                return enemy.patrolPoint;
+            }
+
+            default:
+                return nearest ? { x: nearest.player.x, y: nearest.player.y } : null;
+        }
+    }
+
+    /**
+     * Random walkable tile near the patroller's spawn, falling back to the spawn itself
+     */
+    pickPatrolPoint(gameState, enemy) {
+        const { map } = gameState;
+        const origin = toTile(map, enemy.patrolOrigin.x, enemy.patrolOrigin.y);
+        const radius = ENEMY_AI_CONFIG.PATROL_RADIUS;
+
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const gx = origin.gx + randomInt(gameState, -radius, radius + 1);
+            const gy = origin.gy + randomInt(gameState, -radius, radius + 1);
+            if (isWalkable(map.tiles, gx, gy, enemy.crossesLava)) return tileCenter(map, { gx, gy });
+        }
+
+        return { ...enemy.patrolOrigin };
+    }
+
+    /**
+     * Refresh every enemy's goal, then re-plan the stalest paths within this tick's budget
+     */
+    planPaths(gameState) {
+        const { map } = gameState;
+
+        gameState.enemies.forEach(enemy => {
+            enemy.goal = this.chooseGoal(gameState, enemy);
+        });
+
+        const stale = gameState.enemies
+            .filter(enemy => enemy.goal && gameState.gameTime >= enemy.repathAt)
+            .sort((a, b) => a.repathAt - b.repathAt)
+            .slice(0, ENEMY_AI_CONFIG.PATHS_PER_TICK);
+
+        stale.forEach(enemy => {
+            const start = toTile(map, enemy.x, enemy.y);
+            const goal = toTile(map, enemy.goal.x, enemy.goal.y);
+            const path = findPath(map.tiles, start, goal, {
+                crossesLava: enemy.crossesLava,
+                maxNodes: ENEMY_AI_CONFIG.MAX_SEARCH_NODES
+            });
+
+            enemy.path = path ? path.map(tile => tileCenter(map, tile)) : [];
+            enemy.repathAt = gameState.gameTime + ENEMY_AI_CONFIG.REPATH_INTERVAL;
+        });
+    }
+
+    /**
+     * Point the enemy should steer at this tick: the next waypoint on its path, or its goal
+     * when close or without a path. Null when it has nowhere to go.
+     */
+    getSteeringTarget(gameState, enemy) {
+        const { goal, path } = enemy;
+        if (!goal) return null;
+
+        if (Math.hypot(goal.x - enemy.x, goal.y - enemy.y) < ENEMY_AI_CONFIG.DIRECT_CHASE_RANGE) {
+            return goal;
+        }
+
+        while (path.length > 0 && Math.hypot(path[0].x - enemy.x, path[0].y - enemy.y) <= ENEMY_AI_CONFIG.WAYPOINT_RADIUS) {
+            path.shift();
+        }
+
+        // Knocked off its route (pushed away, trapped by a sink): plan again next chance
+        const { tileSize } = gameState.map;
+        if (path.length > 0 && Math.hypot(path[0].x - enemy.x, path[0].y - enemy.y) > tileSize * 2) {
+            enemy.path = [];
+            enemy.repathAt = 0;
+            return goal;
+        }
+
+        return path[0] || goal;
+    }
+}
+
+// Export singleton instance
+const enemyAI = new EnemyAI();
+export default enemyAI;
@@ -0,0 +1,267 @@
+/**
+ * Hazard Service
+ * Timed environmental events that rewrite map tiles mid-match: lava creeping in from the edge,
+ * road tiles collapsing into lava and temporary floods. Every change is announced with a
+ * hazard_warning first, then applied and sent as tiles_changed so clients can patch map.tiles.
+ * All hazard state lives on gameState.hazards so replays stay deterministic.
+ */
+
+import { SOCKET_EVENTS, HAZARD_TYPES, HAZARD_CONFIG, TILES } from '../config/constants.js';
+import { randomInt } from '../utils/random.js';
+import { findRegions } from '../utils/mapValidation.js';
+
+const tileKey = ({ gx, gy }) => `${gx},${gy}`;
+
+// Key of the tile under a pixel position
+const positionKey = (map, { x, y }) => tileKey({ gx: Math.floor(x / map.tileSize), gy: Math.floor(y / map.tileSize) });
+
+function countRoadRegions(tiles) {
+    return findRegions(tiles).filter(region => region.roadCount > 0).length;
+}
+
+/**
+ * Whether an entity's bounding box overlaps a tile
+ */
+function overlapsTile(map, entity, { gx, gy }) {
+    const { tileSize } = map;
+    const halfW = (entity.width ?? entity.w) / 2;
+    const halfH = (entity.height ?? entity.h) / 2;
+    return entity.x + halfW > gx * tileSize && entity.x - halfW < (gx + 1) * tileSize &&
+        entity.y + halfH > gy * tileSize && entity.y - halfH < (gy + 1) * tileSize;
+}
+
+class HazardManager {
+    /**
+     * Hazard fields for a new match
+     */
+    createState(rules) {
+        return {
+            creepRing: 0, // the lava border is ring 0
+            nextCreepAt: rules.lavaCreepStartTime,
+            nextCollapseAt: rules.roadCollapseStartTime,
+            nextFloodAt: rules.floodStartTime,
+            nextId: 0,
+            warnings: [], // { id, type, tiles, triggerAt }
+            floods: [] // { tiles: [{ gx, gy, tile }], recedeAt } where tile is what the water replaced
+        };
+    }
+
+    update(gameState, deltaTime, loop) {
+        const { hazards, gameTime } = gameState;
+        const { LAVA_CREEP, ROAD_COLLAPSE, FLOOD } = HAZARD_CONFIG;
+
+        if (gameTime >= hazards.nextCreepAt) {
+            hazards.nextCreepAt += LAVA_CREEP.INTERVAL;
+            this.warn(gameState, HAZARD_TYPES.LAVA_CREEP, this.pickCreepTiles(gameState), LAVA_CREEP.WARNING, loop);
+        }
+
+        if (gameTime >= hazards.nextCollapseAt) {
+            hazards.nextCollapseAt += ROAD_COLLAPSE.INTERVAL;
+            this.warn(gameState, HAZARD_TYPES.ROAD_COLLAPSE, this.pickCollapseTiles(gameState), ROAD_COLLAPSE.WARNING, loop);
+        }
+
+        if (gameTime >= hazards.nextFloodAt) {
+            hazards.nextFloodAt += FLOOD.INTERVAL;
+            this.warn(gameState, HAZARD_TYPES.FLOOD, this.pickFloodTiles(gameState), FLOOD.WARNING, loop);
+        }
+
+        const due = hazards.warnings.filter(warning => gameTime >= warning.triggerAt);
+        hazards.warnings = hazards.warnings.filter(warning => gameTime < warning.triggerAt);
+        due.forEach(warning => this.trigger(gameState, warning, loop));
+
+        const receding = hazards.floods.filter(flood => gameTime >= flood.recedeAt);
+        hazards.floods = hazards.floods.filter(flood => gameTime < flood.recedeAt);
+        receding.forEach(flood => {
+            // Anything else that has happened to the water since (lava creeping over it) stays
+            const changes = flood.tiles
+                .filter(({ gx, gy }) => gameState.map.tiles[gy][gx] === TILES.WATER)
+                .map(({ gx, gy, tile }) => ({ gx, gy, tile }));
+            this.applyChanges(gameState, changes, HAZARD_TYPES.FLOOD_RECEDE, loop);
+        });
+    }
+
+    /**
+     * Tiles already promised to a pending hazard, so two hazards never claim the same tile
+     */
+    getClaimedTiles(gameState) {
+        return new Set(gameState.hazards.warnings.flatMap(warning => warning.tiles.map(tileKey)));
+    }
+
+    /**
+     * The next ring in from the edge, unless that would leave the zone too small
+     */
+    pickCreepTiles(gameState) {
+        const { map, hazards } = gameState;
+        const { gridWidth, gridHeight } = map;
+        const ring = hazards.creepRing + 1;
+
+        if (Math.min(gridWidth, gridHeight) - 2 * (ring + 1) < HAZARD_CONFIG.LAVA_CREEP.MIN_SAFE_SIZE) return [];
+        hazards.creepRing = ring;
+
+        const tiles = [];
+        for (let gy = ring; gy < gridHeight - ring; gy++) {
+            for (let gx = ring; gx < gridWidth - ring; gx++) {
+                const onRing = gx === ring || gy === ring || gx === gridWidth - 1 - ring || gy === gridHeight - 1 - ring;
+                if (onRing && map.tiles[gy][gx] !== TILES.LAVA) tiles.push({ gx, gy });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Random road tiles whose loss does not split the road network
+     */
+    pickCollapseTiles(gameState) {
+        const { map } = gameState;
+        const { gridWidth, gridHeight } = map;
+        const { TILES: count, MAX_ATTEMPTS } = HAZARD_CONFIG.ROAD_COLLAPSE;
+        const claimed = this.getClaimedTiles(gameState);
+        const spawnTiles = new Set(map.spawnPoints.map(point => positionKey(map, point)));
+        const tiles = [];
+        const regions = countRoadRegions(map.tiles);
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS && tiles.length < count; attempt++) {
+            const tile = { gx: randomInt(gameState, 1, gridWidth - 1), gy: randomInt(gameState, 1, gridHeight - 1) };
+            const key = tileKey(tile);
+            if (map.tiles[tile.gy][tile.gx] !== TILES.ROAD || claimed.has(key) || spawnTiles.has(key)) continue;
+
+            // Try it as lava and keep it only if every road is still reachable
+            map.tiles[tile.gy][tile.gx] = TILES.LAVA;
+            const splits = countRoadRegions(map.tiles) > regions;
+            map.tiles[tile.gy][tile.gx] = TILES.ROAD;
+            if (splits) continue;
+
+            tiles.push(tile);
+            claimed.add(key);
+        }
+
+        // Tiles chosen together must not split the network between them either
+        tiles.forEach(({ gx, gy }) => { map.tiles[gy][gx] = TILES.LAVA; });
+        const together = countRoadRegions(map.tiles) <= regions;
+        tiles.forEach(({ gx, gy }) => { map.tiles[gy][gx] = TILES.ROAD; });
+
+        return together ? tiles : tiles.slice(0, 1);
+    }
+
+    /**
+     * Open ground around a random water tile that borders some
+     */
+    pickFloodTiles(gameState) {
+        const { map } = gameState;
+        const { gridWidth, gridHeight } = map;
+        const { RADIUS } = HAZARD_CONFIG.FLOOD;
+        const isOpen = (gx, gy) => map.tiles[gy]?.[gx] === TILES.ROAD || map.tiles[gy]?.[gx] === TILES.GRASS;
+
+        const sources = [];
+        for (let gy = 1; gy < gridHeight - 1; gy++) {
+            for (let gx = 1; gx < gridWidth - 1; gx++) {
+                if (map.tiles[gy][gx] !== TILES.WATER) continue;
+                if (isOpen(gx + 1, gy) || isOpen(gx - 1, gy) || isOpen(gx, gy + 1) || isOpen(gx, gy - 1)) {
+                    sources.push({ gx, gy });
+                }
+            }
+        }
+        if (sources.length === 0) return [];
+
+        const source = sources[randomInt(gameState, 0, sources.length)];
+        const claimed = this.getClaimedTiles(gameState);
+        const tiles = [];
+        for (let gy = source.gy - RADIUS; gy <= source.gy + RADIUS; gy++) {
+            for (let gx = source.gx - RADIUS; gx <= source.gx + RADIUS; gx++) {
+                if (isOpen(gx, gy) && !claimed.has(tileKey({ gx, gy }))) tiles.push({ gx, gy });
+            }
+        }
+        return tiles;
+    }
+
+    warn(gameState, type, tiles, warningTime, loop) {
+        if (tiles.length === 0) return;
+
+        const { hazards } = gameState;
+        const warning = {
+            id: `hazard_${hazards.nextId++}`,
+            type,
+            tiles,
+            triggerAt: gameState.gameTime + warningTime
+        };
+        hazards.warnings.push(warning);
+        loop.io.to(gameState.roomCode).emit(SOCKET_EVENTS.SERVER.HAZARD_WARNING, structuredClone(warning));
+    }
+
+    /**
+     * Turn a warning's tiles over, skipping any that no longer fit the hazard
+     */
+    trigger(gameState, warning, loop) {
+        const { map } = gameState;
+
+        if (warning.type === HAZARD_TYPES.FLOOD) {
+            // Water is solid, so never flood a tile with someone standing in it, and leave portals be
+            const portalTiles = new Set(gameState.portals.map(portal => positionKey(map, portal)));
+            const occupied = tile => portalTiles.has(tileKey(tile)) ||
+                [...gameState.players, ...gameState.enemies].some(entity => !entity.isDead && overlapsTile(map, entity, tile));
+            const flooded = warning.tiles
+                .filter(({ gx, gy }) => map.tiles[gy][gx] === TILES.ROAD || map.tiles[gy][gx] === TILES.GRASS)
+                .filter(tile => !occupied(tile))
+                .map(({ gx, gy }) => ({ gx, gy, tile: map.tiles[gy][gx] }));
+
+            if (flooded.length > 0) {
+                gameState.hazards.floods.push({
+                    tiles: flooded,
+                    recedeAt: gameState.gameTime + HAZARD_CONFIG.FLOOD.DURATION
+                });
+            }
+            this.applyChanges(gameState, flooded.map(({ gx, gy }) => ({ gx, gy, tile: TILES.WATER })), warning.type, loop);
+            return;
+        }
+
+        const changes = warning.tiles
+            .filter(({ gx, gy }) => warning.type === HAZARD_TYPES.LAVA_CREEP
+                ? map.tiles[gy][gx] !== TILES.LAVA
+                : map.tiles[gy][gx] === TILES.ROAD)
+            .map(({ gx, gy }) => ({ gx, gy, tile: TILES.LAVA }));
+        this.applyChanges(gameState, changes, warning.type, loop);
+    }
+
+    /**
+     * Write tile changes into the map and clear out whatever no longer fits on them:
+     * props, collectibles and portals go, and enemies that cannot stand in lava are destroyed.
+     * Players caught in lava die in the loop's lava check unless a boat carries them.
+     */
+    applyChanges(gameState, changes, reason, loop) {
+        if (changes.length === 0) return;
+
+        const { map } = gameState;
+        const changed = new Set(changes.map(tileKey));
+        const onChangedTile = entity => changed.has(positionKey(map, entity));
+
+        changes.forEach(({ gx, gy, tile }) => {
+            map.tiles[gy][gx] = tile;
+        });
+
+        map.buildings = map.buildings.filter(b => map.tiles[b.gridY][b.gridX] === TILES.BUILDING);
+        map.trees = map.trees.filter(tree => !onChangedTile(tree));
+        gameState.coins = gameState.coins.filter(c => !onChangedTile(c));
+        gameState.immunityPickups = gameState.immunityPickups.filter(p => !onChangedTile(p));
+        gameState.sinkCollectibles = gameState.sinkCollectibles.filter(s => !onChangedTile(s));
+        gameState.deployedSinks = gameState.deployedSinks.filter(s => !onChangedTile(s));
+        gameState.portals = gameState.portals.filter(p => !onChangedTile(p));
+
+        gameState.enemies.forEach(enemy => {
+            if (!enemy.crossesLava && changes.some(change => change.tile === TILES.LAVA && overlapsTile(map, enemy, change))) {
+                enemy.destroyed = true;
+            }
+            // Cached routes may run through the new tiles
+            enemy.repathAt = 0;
+        });
+
+        loop.io.to(gameState.roomCode).emit(SOCKET_EVENTS.SERVER.TILES_CHANGED, {
+            reason,
+            changes,
+            gameTime: gameState.gameTime
+        });
+    }
+}
+
+// Export singleton instance
+const hazardManager = new HazardManager();
+export default hazardManager;
@@ -0,0 +1,70 @@
+/**
+ * Interest Management Service
+ * Limits each client's game_state to entities near its player and summarises the rest for the minimap
+ */
+
+import { AOI_CONFIG } from '../config/constants.js';
+import { SpatialGrid } from '../utils/SpatialGrid.js';
+
+class InterestManager {
+    /**
+     * Index the filterable collections of a snapshot
+     */
+    buildGrid(snapshot) {
+        const grid = new SpatialGrid(AOI_CONFIG.CELL_SIZE);
+        AOI_CONFIG.FILTERED_COLLECTIONS.forEach(key => {
+            (snapshot[key] || []).forEach(entity => grid.insert(entity));
+        });
+        return grid;
+    }
+
+    /**
+     * Copy of the snapshot with filtered collections cut down to what is visible from focus.
+     * Without a focus point the snapshot is returned unfiltered.
+     */
+    filterSnapshot(snapshot, focus, grid = this.buildGrid(snapshot)) {
+        if (!focus) return snapshot;
+
+        const visible = grid.queryRadius(focus.x, focus.y, AOI_CONFIG.RADIUS);
+        const view = { ...snapshot };
+        AOI_CONFIG.FILTERED_COLLECTIONS.forEach(key => {
+            if (view[key]) {
+                view[key] = view[key].filter(entity => visible.has(entity));
+            }
+        });
+        return view;
+    }
+
+    /**
+     * Coarse whole-map summary: tile positions of players and enemies,
+     * and collectible counts per map quadrant rather than exact positions
+     */
+    buildSummary(snapshot, map) {
+        const toTile = entity => ({
+            x: Math.floor(entity.x / map.tileSize),
+            y: Math.floor(entity.y / map.tileSize)
+        });
+        const quadrantOf = entity => (entity.x >= map.width / 2 ? 1 : 0) + (entity.y >= map.height / 2 ? 2 : 0);
+        const countByQuadrant = entities => {
+            const counts = [0, 0, 0, 0];
+            entities.forEach(entity => counts[quadrantOf(entity)]++);
+            return counts;
+        };
+
+        return {
+            gameTime: snapshot.gameTime,
+            players: snapshot.players.map(p => ({ id: p.id, ...toTile(p), isDead: p.isDead })),
+            enemies: snapshot.enemies.map(toTile),
+            portals: snapshot.portals.map(p => ({ id: p.id, ...toTile(p) })),
+            collectibles: {
+                coins: countByQuadrant(snapshot.coins),
+                immunityPickups: countByQuadrant(snapshot.immunityPickups),
+                sinkCollectibles: countByQuadrant(snapshot.sinkCollectibles)
+            }
+        };
+    }
+}
+
+// Export singleton instance
+const interestManager = new InterestManager();
+export default interestManager;
@@ -0,0 +1,122 @@
+/**
+ * Leaderboard Service
+ * Records finished matches in the match store and ranks individual runs across them
+ */
+
+import { GAME_RULES, LEADERBOARD_CONFIG } from '../config/constants.js';
+import { createMatchStore } from './storage/index.js';
+
+// Room-settings filters and where each one lives on a stored match
+const SETTINGS_FILTERS = {
+    timeLimit: match => match.settings.endConditions.timeLimit,
+    coinTarget: match => match.settings.endConditions.coinTarget,
+    lastPlayerAlive: match => match.settings.endConditions.lastPlayerAlive,
+    customRules: match => match.settings.customRules
+};
+
+class LeaderboardManager {
+    constructor() {
+        this.store = createMatchStore();
+    }
+
+    /**
+     * Swap the persistence backend, e.g. for a database-backed MatchStore
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Persist a finished match. Failures are logged, never thrown into the game loop.
+     * @param {Array} standings - The mode's ranked standings
+     * @param {Array} playerStats - Per-player entries from the stats tracker
+     */
+    async recordMatch(room, gameState, reason, standings, playerStats) {
+        const stats = new Map(playerStats.map(entry => [entry.playerId, entry]));
+
+        const match = {
+            roomCode: room.code,
+            mode: gameState.mode,
+            reason,
+            finishedAt: Date.now(),
+            duration: gameState.gameTime,
+            settings: {
+                endConditions: { ...gameState.endConditions },
+                rules: { ...gameState.rules },
+                customRules: Object.keys(GAME_RULES.DEFAULTS).some(key => gameState.rules[key] !== GAME_RULES.DEFAULTS[key])
+            },
+            players: standings.map(entry => {
+                const { playerId, name, ...playerStatsEntry } = stats.get(entry.playerId) || {};
+                const teamId = entry.teamId ?? null;
+                return {
+                    playerId: entry.playerId,
+                    name: entry.name,
+                    rank: entry.rank,
+                    // Everyone on the winning team shares the win
+                    won: entry.rank === 1 || (teamId !== null && teamId === standings[0].teamId),
+                    score: entry.coins,
+                    teamId,
+                    ...playerStatsEntry
+                };
+            })
+        };
+
+        try {
+            await this.store.saveMatch(match);
+            return match;
+        } catch (error) {
+            console.log(`Error recording match for room ${room.code}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Best individual runs for a validated query
+     * @param {object} query - See LEADERBOARD_QUERY in config/eventSchemas.js
+     */
+    async getLeaderboard(query = {}) {
+        const period = query.period || LEADERBOARD_CONFIG.DEFAULT_PERIOD;
+        const sort = query.sort || LEADERBOARD_CONFIG.DEFAULT_SORT;
+        const limit = query.limit || LEADERBOARD_CONFIG.DEFAULT_LIMIT;
+        const window = LEADERBOARD_CONFIG.PERIOD_WINDOWS[period];
+
+        const filters = Object.fromEntries(
+            Object.keys(SETTINGS_FILTERS)
+                .filter(key => query[key] !== undefined)
+                .map(key => [key, query[key]])
+        );
+
+        const matches = await this.store.findMatches({
+            since: window ? Date.now() - window : null,
+            mode: query.mode
+        });
+
+        const entries = matches
+            .filter(match => Object.entries(filters).every(([key, value]) => (SETTINGS_FILTERS[key](match) ?? null) === value))
+            .flatMap(match => match.players.map(player => ({
+                ...player,
+                mode: match.mode,
+                roomCode: match.roomCode,
+                finishedAt: match.finishedAt
+            })))
+            .sort((a, b) =>
+                ((b[sort] ?? 0) - (a[sort] ?? 0)) ||
+                ((b.survivalTime ?? 0) - (a.survivalTime ?? 0)) ||
+                (a.finishedAt - b.finishedAt)
+            )
+            .slice(0, limit)
+            .map(({ rank, ...entry }, index) => ({ rank: index + 1, ...entry, matchRank: rank }));
+
+        return {
+            period,
+            sort,
+            mode: query.mode || null,
+            filters,
+            entries
+        };
+    }
+}
+
+// Export singleton instance
+const leaderboardManager = new LeaderboardManager();
+export default leaderboardManager;
@@ -0,0 +1,64 @@
+/**
+ * Matchmaking Service
+ * Quick play queue for players waiting on a public room
+ */
+
+import { MATCHMAKING_CONFIG } from '../config/constants.js';
+
+class MatchmakingManager {
+    constructor() {
+        // Queued players in arrival order: { socketId, playerName, queuedAt }
+        this.queue = [];
+    }
+
+    isQueued(socketId) {
+        return this.queue.some(entry => entry.socketId === socketId);
+    }
+
+    /**
+     * Add a socket to the quick play queue
+     * @returns {number} - 1-based queue position
+     */
+    enqueue(socketId, playerName) {
+        this.queue.push({ socketId, playerName, queuedAt: Date.now() });
+        return this.queue.length;
+    }
+
+    /**
+     * Remove a socket from the queue
+     * @returns {boolean} - true if it was queued
+     */
+    dequeue(socketId) {
+        const index = this.queue.findIndex(entry => entry.socketId === socketId);
+        if (index === -1) return false;
+
+        this.queue.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Take enough queued players for a new room once the threshold is reached
+     * @returns {Array|null} - Queue entries, the first becoming host, or null if still waiting
+     */
+    takeMatch() {
+        if (this.queue.length < MATCHMAKING_CONFIG.QUICK_PLAY_THRESHOLD) return null;
+        return this.queue.splice(0, MATCHMAKING_CONFIG.QUICK_PLAY_MAX_PLAYERS);
+    }
+
+    getStatus(socketId) {
+        return {
+            queued: this.isQueued(socketId),
+            position: this.queue.findIndex(entry => entry.socketId === socketId) + 1,
+            queueSize: this.queue.length,
+            threshold: MATCHMAKING_CONFIG.QUICK_PLAY_THRESHOLD
+        };
+    }
+
+    getQueuedSocketIds() {
+        return this.queue.map(entry => entry.socketId);
+    }
+}
+
+// Export singleton instance
+const matchmakingManager = new MatchmakingManager();
+export default matchmakingManager;
@@ -5,22 +5,23 @@
 
 import qbitCityGameStateManager from './QbitCityGameStateManager.js';
 import roomManager from './RoomManager.js';
-import { ROOM_STATUS } from '../config/constants.js';
-
-const TILE_SIZE = 64;
-const MAP_WIDTH = 50;
-const MAP_HEIGHT = 50;
-const BASE_PLAYER_SPEED = 300;
-const BASE_ENEMY_SPEED = 250;
-const IMMUNITY_DURATION = 10;
-const COLLECTIBLES_START_TIME = 30;
-const COINS_FOR_IMMUNITY = 5;
-const MAX_IMMUNITY_INVENTORY = 3;
+import replayRecorder from './ReplayRecorder.js';
+import snapshotManager from './SnapshotManager.js';
+import interestManager from './InterestManager.js';
+import statsTracker from './StatsTracker.js';
+import leaderboardManager from './LeaderboardManager.js';
+import enemyAI from './EnemyAI.js';
+import hazardManager from './HazardManager.js';
+import { getGameMode } from './gameModes/index.js';
+import { ROOM_STATUS, SOCKET_EVENTS, GAME_CONFIG, AOI_CONFIG, DIFFICULTY_CURVE, TILES, BOAT_CONFIG, BOAT_STATES } from '../config/constants.js';
+import { nextRandom, randomInt } from '../utils/random.js';
+import { isSolidTile } from '../utils/pathfinding.js';
+import { getRouteLength, getRoutePosition } from '../utils/boatRoutes.js';
 
 class QbitCityGameLoop {
     constructor(io) {
         this.io = io;
-        this.tickRate = 20; // 20 ticks per second
+        this.tickRate = GAME_CONFIG.TICK_RATE;
         this.tickInterval = null;
         this.isRunning = false;
     }
@@ -63,8 +64,12 @@ class QbitCityGameLoop {
         const gameState = qbitCityGameStateManager.getGameState(roomCode);
         if (!gameState) return;
 
+        const mode = getGameMode(gameState.mode);
+
         // Update game time
         gameState.gameTime += deltaTime;
+        gameState.tick++;
+        replayRecorder.recordTick(roomCode, currentTime);
 
         // Process player inputs
         this.processPlayerInputs(gameState, deltaTime, currentTime);
@@ -76,7 +81,7 @@ class QbitCityGameLoop {
         this.updateEnemies(gameState, deltaTime);
 
         // Handle spawning
-        this.handleSpawning(gameState, deltaTime);
+        mode.handleSpawning(gameState, deltaTime, this);
 
         // Update collectibles
         this.updateCollectibles(gameState, deltaTime);
@@ -84,55 +89,192 @@ class QbitCityGameLoop {
         // Update portals
         this.updatePortals(gameState, deltaTime);
 
+        // Timed hazards rewrite map tiles
+        hazardManager.update(gameState, deltaTime, this);
+
         // Check collisions
         this.checkCollisions(gameState);
 
+        // Mode-specific rules
+        mode.update(gameState, deltaTime, this);
+
+        // Survival time for everyone still standing
+        statsTracker.update(gameState, deltaTime);
+
         // Broadcast state to all players
-        this.broadcastGameState(roomCode, gameState);
+        this.broadcastGameState(roomCode, gameState, currentTime);
+
+        // End the match once the mode says it is over
+        const endReason = mode.checkEndConditions(gameState);
+        if (endReason) {
+            this.finishMatch(roomCode, gameState, endReason);
+        }
+    }
+
+    finishMatch(roomCode, gameState, reason) {
+        gameState.finished = true;
+        const stats = statsTracker.buildSummary(gameState);
+        const room = roomManager.finishGame(roomCode, stats.players);
+        const mode = getGameMode(gameState.mode);
+        const standings = mode.buildStandings(gameState);
+
+        this.io.to(roomCode).emit(SOCKET_EVENTS.SERVER.GAME_OVER, {
+            reason,
+            mode: mode.id,
+            winnerId: standings[0]?.playerId || null,
+            standings,
+            ...mode.buildSummary(gameState),
+            stats,
+            gameTime: gameState.gameTime,
+            room
+        });
+
+        // Replays finish without a live room and must not land on the leaderboard
+        if (room) {
+            leaderboardManager.recordMatch(room, gameState, reason, standings, stats.players);
+        }
+
+        replayRecorder.stopRecording(roomCode);
+        console.log(`Qbit City match finished in room ${roomCode}: ${reason}`);
+    }
+
+    killPlayer(gameState, player) {
+        // Mark player as dead to prevent multiple death events
+        player.isDead = true;
+        player.deathTime = gameState.gameTime;
+        statsTracker.record(player, 'deaths');
+        this.io.to(gameState.roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_DEATH, {
+            playerId: player.id
+        });
+
+        getGameMode(gameState.mode).onPlayerDeath(gameState, player, this);
+    }
+
+    /**
+     * Respawn a player on the server's initiative, e.g. when a mode brings them back automatically
+     */
+    respawnPlayer(gameState, player) {
+        const respawned = qbitCityGameStateManager.respawnPlayer(gameState.roomCode, player.id);
+        if (!respawned) return null;
+
+        const socketId = roomManager.getSocketIdForPlayer(player.id);
+        if (socketId) {
+            this.io.to(socketId).emit(SOCKET_EVENTS.SERVER.PLAYER_RESPAWNED, { player: respawned });
+        }
+        this.io.to(gameState.roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_REJOINED, {
+            playerId: player.id,
+            playerName: respawned.name
+        });
+
+        return respawned;
     }
 
     processPlayerInputs(gameState, deltaTime, currentTime) {
         gameState.players.forEach(player => {
+            // Frozen while their socket is reconnecting
+            if (player.disconnected) return;
+
+            // Downed players wait where they fell; inputs sent meanwhile are not replayed after a revive
+            if (player.isDead) {
+                player.velX = 0;
+                player.velY = 0;
+                qbitCityGameStateManager.inputBuffers.delete(player.id);
+                return;
+            }
+
             const buffer = qbitCityGameStateManager.inputBuffers.get(player.id) || [];
-            
-            // Find the most recent unprocessed input (to avoid processing multiple inputs at once)
-            let latestInput = null;
-            let latestIndex = -1;
-            
-            for (let i = buffer.length - 1; i >= 0; i--) {
-                const input = buffer[i];
-                if (!input.processed && input.timestamp <= currentTime) {
-                    if (!latestInput || input.timestamp > latestInput.timestamp) {
-                        latestInput = input;
-                        latestIndex = i;
-                    }
+
+            // Clients that number their inputs get every input applied in order
+            const applied = Number.isInteger(buffer[0]?.seq)
+                ? this.processSequencedInputs(player, buffer, deltaTime, currentTime, gameState)
+                : this.processLatestInput(player, buffer, deltaTime, currentTime, gameState);
+
+            // Update trail (only when moving)
+            if (applied && (player.velX !== 0 || player.velY !== 0)) {
+                player.trail.push({ x: player.x, y: player.y });
+                if (player.trail.length > 20) player.trail.shift();
+            }
+
+            this.updatePlayerTimers(player, deltaTime, gameState);
+        });
+    }
+
+    /**
+     * Apply buffered inputs in sequence order, each for its own duration.
+     * Inputs beyond this tick's catch-up budget wait for the next tick.
+     */
+    processSequencedInputs(player, buffer, deltaTime, currentTime, gameState) {
+        let budget = deltaTime * GAME_CONFIG.INPUT_CATCHUP_FACTOR;
+        let applied = false;
+        const pending = [];
+
+        for (const input of buffer) {
+            // Duplicate or already applied
+            if (input.seq <= player.lastProcessedInput) continue;
+
+            // Keep order: once one input waits, every later one waits too
+            if (pending.length > 0 || budget <= 0 || input.timestamp > currentTime) {
+                pending.push(input);
+                continue;
+            }
+
+            const duration = Number.isFinite(input.duration)
+                ? Math.min(Math.max(input.duration, 0), GAME_CONFIG.MAX_INPUT_DURATION) / 1000
+                : deltaTime;
+
+            this.applyInputToPlayer(player, input, duration, gameState);
+            player.lastProcessedInput = input.seq;
+            budget -= duration;
+            applied = true;
+        }
+
+        qbitCityGameStateManager.inputBuffers.set(player.id, pending);
+        return applied;
+    }
+
+    /**
+     * Legacy clients without sequence numbers: apply only the newest input per tick
+     */
+    processLatestInput(player, buffer, deltaTime, currentTime, gameState) {
+        // Find the most recent unprocessed input (to avoid processing multiple inputs at once)
+        let latestInput = null;
+        let latestIndex = -1;
+
+        for (let i = buffer.length - 1; i >= 0; i--) {
+            const input = buffer[i];
+            if (!input.processed && input.timestamp <= currentTime) {
+                if (!latestInput || input.timestamp > latestInput.timestamp) {
+                    latestInput = input;
+                    latestIndex = i;
                 }
             }
-            
-            // Process only the most recent input per tick (prevents multiple movements in one frame)
-            if (latestInput) {
-                this.applyInputToPlayer(player, latestInput, deltaTime, gameState);
-                latestInput.processed = true;
-                
-                // Mark older inputs as processed too (they're superseded by the latest)
-                for (let i = 0; i < latestIndex; i++) {
-                    if (buffer[i].timestamp <= currentTime) {
-                        buffer[i].processed = true;
-                    }
+        }
+
+        // Process only the most recent input per tick (prevents multiple movements in one frame)
+        if (latestInput) {
+            this.applyInputToPlayer(player, latestInput, deltaTime, gameState);
+            latestInput.processed = true;
+
+            // Mark older inputs as processed too (they're superseded by the latest)
+            for (let i = 0; i < latestIndex; i++) {
+                if (buffer[i].timestamp <= currentTime) {
+                    buffer[i].processed = true;
                 }
             }
+        }
 
-            // Remove old processed inputs
-            const activeBuffer = buffer.filter(
-                input => !input.processed || (currentTime - input.timestamp < 1000)
-            );
-            qbitCityGameStateManager.inputBuffers.set(player.id, activeBuffer);
-        });
+        // Remove old processed inputs
+        const activeBuffer = buffer.filter(
+            input => !input.processed || (currentTime - input.timestamp < 1000)
+        );
+        qbitCityGameStateManager.inputBuffers.set(player.id, activeBuffer);
+
+        return latestInput !== null;
     }
 
     applyInputToPlayer(player, input, deltaTime, gameState) {
         const keys = input.keys || {};
-        
+
         // Calculate movement direction
         let dx = 0, dy = 0;
         if (keys.ArrowUp || keys.KeyW) dy = -1;
@@ -153,15 +295,30 @@ class QbitCityGameLoop {
         player.velY = dy * player.speed;
 
         // Apply movement with collision
-        const newX = player.x + player.velX * deltaTime;
-        const newY = player.y + player.velY * deltaTime;
+        this.movePlayer(gameState, player, player.x + player.velX * deltaTime, player.y + player.velY * deltaTime);
+
+        // Update energy
+        if (dx !== 0 || dy !== 0) {
+            player.energy = Math.min(1, player.energy + deltaTime * 0.3);
+        }
+    }
+
+    /**
+     * Move a player towards (newX, newY), sliding along whichever axis is free.
+     * A boat deck can be stood on over water or lava, but buildings still block.
+     */
+    movePlayer(gameState, player, newX, newY) {
+        const blocked = (x, y) => {
+            const onDeck = gameState.boats.some(boat => this.isOnBoat({ x, y, width: player.width, height: player.height }, boat));
+            return this.checkCollision(x, y, player.width, player.height, gameState.map, true, onDeck);
+        };
 
-        if (this.checkCollision(newX, player.y, player.width, player.height, gameState.map, true)) {
+        if (blocked(newX, player.y)) {
             // X collision, try Y only
-            if (!this.checkCollision(player.x, newY, player.width, player.height, gameState.map, true)) {
+            if (!blocked(player.x, newY)) {
                 player.y = newY;
             }
-        } else if (this.checkCollision(player.x, newY, player.width, player.height, gameState.map, true)) {
+        } else if (blocked(player.x, newY)) {
             // Y collision, use X only
             player.x = newX;
         } else {
@@ -169,18 +326,9 @@ class QbitCityGameLoop {
             player.x = newX;
             player.y = newY;
         }
+    }
 
-        // Update energy
-        if (dx !== 0 || dy !== 0) {
-            player.energy = Math.min(1, player.energy + deltaTime * 0.3);
-        }
-
-        // Update trail (only when moving)
-        if (dx !== 0 || dy !== 0) {
-            player.trail.push({ x: player.x, y: player.y });
-            if (player.trail.length > 20) player.trail.shift();
-        }
-
+    updatePlayerTimers(player, deltaTime, gameState) {
         // Update portal cooldown
         if (player.portalCooldown > 0) {
             player.portalCooldown -= deltaTime;
@@ -192,67 +340,79 @@ class QbitCityGameLoop {
         }
     }
 
+    /**
+     * Sail boats along their routes, carrying anyone aboard. Boats sink when their lifetime
+     * runs out and are relaunched somewhere else after a delay.
+     */
     updateBoats(gameState, deltaTime) {
-        const speed = 150;
-        const totalDist = (MAP_WIDTH - 1 + MAP_HEIGHT - 1) * 2 * TILE_SIZE;
+        const { boatRoutes } = gameState.map;
+        const carried = new Set();
 
         gameState.boats.forEach(boat => {
-            boat.dist = (boat.dist + speed * deltaTime) % totalDist;
-
-            const topLen = (MAP_WIDTH - 1) * TILE_SIZE;
-            const rightLen = (MAP_HEIGHT - 1) * TILE_SIZE;
-            const bottomLen = (MAP_WIDTH - 1) * TILE_SIZE;
-
-            let currentDist = boat.dist;
-            let nx = 0, ny = 0;
+            if (boat.state === BOAT_STATES.SUNK) {
+                if (gameState.gameTime >= boat.stateEndsAt) {
+                    qbitCityGameStateManager.respawnBoat(gameState, boat);
+                }
+                return;
+            }
 
-            if (currentDist < topLen) {
-                nx = currentDist;
-                ny = 0;
-                boat.velX = speed;
-                boat.velY = 0;
-            } else if (currentDist < topLen + rightLen) {
-                currentDist -= topLen;
-                nx = (MAP_WIDTH - 1) * TILE_SIZE;
-                ny = currentDist;
+            if (boat.state === BOAT_STATES.SINKING && gameState.gameTime >= boat.stateEndsAt) {
+                boat.state = BOAT_STATES.SUNK;
+                boat.stateEndsAt = gameState.gameTime + BOAT_CONFIG.RESPAWN_DELAY;
                 boat.velX = 0;
-                boat.velY = speed;
-            } else if (currentDist < topLen + rightLen + bottomLen) {
-                currentDist -= topLen + rightLen;
-                nx = (MAP_WIDTH - 1) * TILE_SIZE - currentDist;
-                ny = (MAP_HEIGHT - 1) * TILE_SIZE;
-                boat.velX = -speed;
                 boat.velY = 0;
-            } else {
-                currentDist -= topLen + rightLen + bottomLen;
-                nx = 0;
-                ny = (MAP_HEIGHT - 1) * TILE_SIZE - currentDist;
-                boat.velX = 0;
-                boat.velY = -speed;
+                return;
             }
 
-            boat.x = nx + TILE_SIZE / 2;
-            boat.y = ny + TILE_SIZE / 2;
+            boat.life = Math.max(0, boat.life - deltaTime);
+            if (boat.state === BOAT_STATES.AFLOAT && boat.life === 0) {
+                boat.state = BOAT_STATES.SINKING;
+                boat.stateEndsAt = gameState.gameTime + BOAT_CONFIG.SINK_TIME;
+            }
+
+            // Riders are picked up before the boat moves so they travel with it
+            const riders = gameState.players.filter(player =>
+                !player.isDead && !player.disconnected && !carried.has(player.id) && this.isOnBoat(player, boat));
+
+            const { waypoints, speed } = boatRoutes[boat.route];
+            const prevX = boat.x;
+            const prevY = boat.y;
+            // A route that never leaves its first tile has no length to wrap around
+            const routeLength = getRouteLength(waypoints);
+            boat.dist = routeLength > 0 ? (boat.dist + speed * deltaTime) % routeLength : 0;
+
+            const { x, y, dirX, dirY } = getRoutePosition(waypoints, boat.dist);
+            boat.x = x;
+            boat.y = y;
+            boat.velX = dirX * speed;
+            boat.velY = dirY * speed;
+
+            // Riders are held back by anything solid the boat passes, like a shoreline building
+            riders.forEach(player => {
+                this.movePlayer(gameState, player, player.x + boat.x - prevX, player.y + boat.y - prevY);
+                carried.add(player.id);
+            });
         });
     }
 
-    updateEnemies(gameState, deltaTime) {
-        gameState.enemies.forEach(enemy => {
-            // Find nearest player
-            let nearestPlayer = null;
-            let minDist = Infinity;
+    /**
+     * Whether an entity's bounding box overlaps a boat's deck
+     */
+    isOnBoat(entity, boat) {
+        return boat.state !== BOAT_STATES.SUNK &&
+            Math.abs(entity.x - boat.x) < boat.w / 2 + entity.width / 2 &&
+            Math.abs(entity.y - boat.y) < boat.h / 2 + entity.height / 2;
+    }
 
-            gameState.players.forEach(player => {
-                const dist = Math.hypot(player.x - enemy.x, player.y - enemy.y);
-                if (dist < minDist) {
-                    minDist = dist;
-                    nearestPlayer = player;
-                }
-            });
+    updateEnemies(gameState, deltaTime) {
+        // Goals every tick, paths on a budget
+        enemyAI.planPaths(gameState);
 
-            if (!nearestPlayer) return;
+        gameState.enemies.forEach(enemy => {
+            const target = enemyAI.getSteeringTarget(gameState, enemy);
+            if (!target) return;
 
-            // Calculate direction to player
+            // Calculate direction to the next waypoint
             let moveX = 0, moveY = 0;
 
             if (enemy.flankTimer > 0) {
@@ -261,43 +421,46 @@ class QbitCityGameLoop {
                 moveY = enemy.flankDir.y * enemy.speed * deltaTime;
                 if (enemy.flankTimer <= 0) enemy.stuckTime = 0;
             } else {
-                const edx = nearestPlayer.x - enemy.x;
-                const edy = nearestPlayer.y - enemy.y;
+                const edx = target.x - enemy.x;
+                const edy = target.y - enemy.y;
                 const dist = Math.hypot(edx, edy);
 
+                // Never overshoot a waypoint
+                const step = Math.min(enemy.speed * deltaTime, dist);
                 if (dist > 0) {
-                    moveX = (edx / dist) * enemy.speed * deltaTime;
-                    moveY = (edy / dist) * enemy.speed * deltaTime;
+                    moveX = (edx / dist) * step;
+                    moveY = (edy / dist) * step;
                 }
             }
 
             // Apply movement with collision
             let actualX = 0, actualY = 0;
-            if (!this.checkCollision(enemy.x + moveX, enemy.y, enemy.width, enemy.height, gameState.map, false)) {
+            if (!this.checkCollision(enemy.x + moveX, enemy.y, enemy.width, enemy.height, gameState.map, enemy.crossesLava)) {
                 enemy.x += moveX;
                 actualX = moveX;
             }
-            if (!this.checkCollision(enemy.x, enemy.y + moveY, enemy.width, enemy.height, gameState.map, false)) {
+            if (!this.checkCollision(enemy.x, enemy.y + moveY, enemy.width, enemy.height, gameState.map, enemy.crossesLava)) {
                 enemy.y += moveY;
                 actualY = moveY;
             }
 
-            // Stuck detection
+            // Stuck detection: side-step for a moment if the path still runs into something
             if (enemy.flankTimer <= 0) {
-                const intended = enemy.speed * deltaTime;
+                const intended = Math.hypot(moveX, moveY);
                 const actual = Math.hypot(actualX, actualY);
                 
                 if (actual < intended * 0.5) {
                     enemy.stuckTime += deltaTime;
                     if (enemy.stuckTime > 0.5) {
                         enemy.flankTimer = 1.0;
-                        const edx = nearestPlayer.x - enemy.x;
-                        const edy = nearestPlayer.y - enemy.y;
+                        enemy.repathAt = 0;
+                        const edx = target.x - enemy.x;
+                        const edy = target.y - enemy.y;
                         const dist = Math.hypot(edx, edy);
                         if (dist > 0) {
                             const edxNorm = edx / dist;
                             const edyNorm = edy / dist;
-                            if (Math.random() < 0.5) {
+                            if (nextRandom(gameState) < 0.5) {
                                 enemy.flankDir = { x: -edyNorm, y: edxNorm };
                             } else {
                                 enemy.flankDir = { x: edyNorm, y: -edxNorm };
@@ -316,15 +479,22 @@ class QbitCityGameLoop {
     }
 
     handleSpawning(gameState, deltaTime) {
-        // Speed boost at 30 seconds
-        if (!gameState.speedBoostApplied && gameState.gameTime >= 30) {
+        const { rules } = gameState;
+
+        // Speed boost partway into the match
+        if (!gameState.speedBoostApplied && gameState.gameTime >= rules.speedBoostTime) {
             gameState.speedBoostApplied = true;
             gameState.players.forEach(player => {
-                player.speed = BASE_PLAYER_SPEED * 1.2;
-            });
-            gameState.enemies.forEach(enemy => {
-                enemy.speed = enemy.speed * 1.2;
+                player.speed = qbitCityGameStateManager.getPlayerSpeed(gameState);
             });
+            this.refreshEnemySpeeds(gameState);
+        }
+
+        // Step up the difficulty curve
+        const stageIndex = qbitCityGameStateManager.getDifficultyStage(gameState);
+        if (stageIndex !== gameState.difficultyStage) {
+            gameState.difficultyStage = stageIndex;
+            this.refreshEnemySpeeds(gameState);
         }
 
         // Spawn coins
@@ -338,15 +508,15 @@ class QbitCityGameLoop {
         gameState.coinSpawnTimer += deltaTime;
         if (gameState.coinSpawnTimer >= gameState.nextCoinSpawnTime) {
             gameState.coinSpawnTimer = 0;
-            gameState.nextCoinSpawnTime = 3 + Math.random() * 4;
-            const numCoins = 3 + Math.floor(Math.random() * 3);
+            gameState.nextCoinSpawnTime = 3 + nextRandom(gameState) * 4;
+            const numCoins = randomInt(gameState, 3, 6);
             for (let i = 0; i < numCoins; i++) {
                 this.spawnCoin(gameState);
             }
         }
 
-        // Spawn other collectibles after 30 seconds
-        if (gameState.gameTime >= COLLECTIBLES_START_TIME) {
+        // Spawn other collectibles once they are unlocked
+        if (gameState.gameTime >= rules.collectiblesStartTime) {
             if (!gameState.collectiblesInitialized) {
                 gameState.collectiblesInitialized = true;
                 // Spawn initial immunity pickups
@@ -360,7 +530,7 @@ class QbitCityGameLoop {
             gameState.immunityPickupSpawnTimer += deltaTime;
             if (gameState.immunityPickupSpawnTimer >= gameState.nextImmunityPickupSpawnTime) {
                 gameState.immunityPickupSpawnTimer = 0;
-                gameState.nextImmunityPickupSpawnTime = 25 + Math.random() * 15;
+                gameState.nextImmunityPickupSpawnTime = 25 + nextRandom(gameState) * 15;
                 
                 const quadrantCounts = [0, 0, 0, 0];
                 gameState.immunityPickups.forEach(p => {
@@ -377,45 +547,51 @@ class QbitCityGameLoop {
             gameState.sinkSpawnTimer += deltaTime;
             if (gameState.sinkSpawnTimer >= gameState.nextSinkSpawnTime) {
                 gameState.sinkSpawnTimer = 0;
-                gameState.nextSinkSpawnTime = 25 + Math.random() * 10;
+                gameState.nextSinkSpawnTime = 25 + nextRandom(gameState) * 10;
                 this.spawnSinkCollectible(gameState);
             }
         }
 
-        // Spawn enemies
+        // Spawn enemies on the current stage's schedule
+        const stage = DIFFICULTY_CURVE[gameState.difficultyStage];
         gameState.enemySpawnTimer += deltaTime;
-        if (gameState.enemySpawnTimer >= 30) {
+        if (gameState.enemySpawnTimer >= stage.spawnInterval) {
             gameState.enemySpawnTimer = 0;
             const centerX = gameState.players[0]?.x || 0;
             const centerY = gameState.players[0]?.y || 0;
-            for (let i = 0; i < 2; i++) {
+            const count = Math.min(stage.spawnCount, stage.maxEnemies - gameState.enemies.length);
+            for (let i = 0; i < count; i++) {
                 const enemy = qbitCityGameStateManager.spawnEnemy(
-                    gameState.map,
+                    gameState,
                     centerX,
-                    centerY
+                    centerY,
+                    undefined,
+                    qbitCityGameStateManager.pickEnemyArchetype(gameState)
                 );
-                if (enemy) {
-                    if (gameState.speedBoostApplied) {
-                        enemy.speed = enemy.speed * 1.2;
-                    }
-                    gameState.enemies.push(enemy);
-                }
+                if (enemy) gameState.enemies.push(enemy);
             }
         }
     }
 
+    refreshEnemySpeeds(gameState) {
+        gameState.enemies.forEach(enemy => {
+            enemy.speed = qbitCityGameStateManager.getEnemySpeed(gameState, enemy);
+        });
+    }
+
     spawnCoin(gameState) {
         if (gameState.coins.filter(c => !c.collected).length >= 40) return;
+        const { tileSize, gridWidth, gridHeight } = gameState.map;
 
         let attempts = 0;
         while (attempts < 100) {
             attempts++;
-            const rx = Math.floor(Math.random() * (MAP_WIDTH - 2)) + 1;
-            const ry = Math.floor(Math.random() * (MAP_HEIGHT - 2)) + 1;
+            const rx = randomInt(gameState, 1, gridWidth - 1);
+            const ry = randomInt(gameState, 1, gridHeight - 1);
 
             if (gameState.map.tiles[ry]?.[rx] === 0) {
-                const cx = rx * TILE_SIZE + TILE_SIZE / 2;
-                const cy = ry * TILE_SIZE + TILE_SIZE / 2;
+                const cx = rx * tileSize + tileSize / 2;
+                const cy = ry * tileSize + tileSize / 2;
                 
                 // Check distance from all players
                 let tooClose = false;
@@ -429,11 +605,11 @@ class QbitCityGameLoop {
 
                 if (!tooClose) {
                     gameState.coins.push({
-                        id: `coin_${Date.now()}_${Math.random()}`,
+                        id: qbitCityGameStateManager.createEntityId(gameState, 'coin'),
                         x: cx,
                         y: cy,
                         collected: false,
-                        spawnTime: Date.now() * 0.001
+                        spawnTime: gameState.gameTime
                     });
                     return;
                 }
@@ -442,31 +618,32 @@ class QbitCityGameLoop {
     }
 
     spawnImmunityPickup(gameState, quadrant) {
-        const midX = MAP_WIDTH / 2;
-        const midY = MAP_HEIGHT / 2;
+        const { tileSize, gridWidth, gridHeight } = gameState.map;
+        const midX = Math.floor(gridWidth / 2);
+        const midY = Math.floor(gridHeight / 2);
 
         let minX = 1, maxX = midX - 1, minY = 1, maxY = midY - 1;
-        if (quadrant === 1) { minX = midX; maxX = MAP_WIDTH - 2; }
-        if (quadrant === 2) { minY = midY; maxY = MAP_HEIGHT - 2; }
-        if (quadrant === 3) { minX = midX; maxX = MAP_WIDTH - 2; minY = midY; maxY = MAP_HEIGHT - 2; }
+        if (quadrant === 1) { minX = midX; maxX = gridWidth - 2; }
+        if (quadrant === 2) { minY = midY; maxY = gridHeight - 2; }
+        if (quadrant === 3) { minX = midX; maxX = gridWidth - 2; minY = midY; maxY = gridHeight - 2; }
 
         let attempts = 0;
         while (attempts < 100) {
             attempts++;
-            const rx = Math.floor(minX + Math.random() * (maxX - minX));
-            const ry = Math.floor(minY + Math.random() * (maxY - minY));
+            const rx = randomInt(gameState, minX, maxX);
+            const ry = randomInt(gameState, minY, maxY);
 
             if (gameState.map.tiles[ry]?.[rx] === 0) {
-                const cx = rx * TILE_SIZE + TILE_SIZE / 2;
-                const cy = ry * TILE_SIZE + TILE_SIZE / 2;
+                const cx = rx * tileSize + tileSize / 2;
+                const cy = ry * tileSize + tileSize / 2;
 
                 gameState.immunityPickups.push({
-                    id: `immunity_${Date.now()}_${Math.random()}`,
+                    id: qbitCityGameStateManager.createEntityId(gameState, 'immunity'),
                     x: cx,
                     y: cy,
                     collected: false,
                     quadrant,
-                    spawnTime: Date.now() * 0.001
+                    spawnTime: gameState.gameTime
                 });
                 return;
             }
@@ -475,16 +652,17 @@ class QbitCityGameLoop {
 
     spawnSinkCollectible(gameState) {
         if (gameState.sinkCollectibles.filter(s => !s.collected).length >= 2) return;
+        const { tileSize, gridWidth, gridHeight } = gameState.map;
 
         let attempts = 0;
         while (attempts < 100) {
             attempts++;
-            const rx = Math.floor(Math.random() * (MAP_WIDTH - 2)) + 1;
-            const ry = Math.floor(Math.random() * (MAP_HEIGHT - 2)) + 1;
+            const rx = randomInt(gameState, 1, gridWidth - 1);
+            const ry = randomInt(gameState, 1, gridHeight - 1);
 
             if (gameState.map.tiles[ry]?.[rx] === 0) {
-                const cx = rx * TILE_SIZE + TILE_SIZE / 2;
-                const cy = ry * TILE_SIZE + TILE_SIZE / 2;
+                const cx = rx * tileSize + tileSize / 2;
+                const cy = ry * tileSize + tileSize / 2;
 
                 let tooClose = false;
                 for (const player of gameState.players) {
@@ -497,11 +675,11 @@ class QbitCityGameLoop {
 
                 if (!tooClose) {
                     gameState.sinkCollectibles.push({
-                        id: `sink_${Date.now()}_${Math.random()}`,
+                        id: qbitCityGameStateManager.createEntityId(gameState, 'sink'),
                         x: cx,
                         y: cy,
                         collected: false,
-                        spawnTime: Date.now() * 0.001
+                        spawnTime: gameState.gameTime
                     });
                     return;
                 }
@@ -530,33 +708,26 @@ class QbitCityGameLoop {
     }
 
     checkCollisions(gameState) {
+        const { tileSize, gridWidth, gridHeight } = gameState.map;
+
         // Player-enemy collisions and lava death
         gameState.players.forEach(player => {
             // Check if player is on lava tile
-            const gridX = Math.floor(player.x / TILE_SIZE);
-            const gridY = Math.floor(player.y / TILE_SIZE);
+            const gridX = Math.floor(player.x / tileSize);
+            const gridY = Math.floor(player.y / tileSize);
             
-            // Skip dead players
-            if (player.isDead) return;
+            // Skip dead and frozen players
+            if (player.isDead || player.disconnected) return;
             
-            if (gridY >= 0 && gridY < MAP_HEIGHT && gridX >= 0 && gridX < MAP_WIDTH) {
+            if (gridY >= 0 && gridY < gridHeight && gridX >= 0 && gridX < gridWidth) {
                 const tile = gameState.map.tiles[gridY][gridX];
-                if (tile === 4) {
-                    // Check if player is on a boat (boats save from lava)
-                    const onBoat = gameState.boats.some(boat => {
-                        const dx = player.x - boat.x;
-                        const dy = player.y - boat.y;
-                        return Math.abs(dx) < boat.w / 2 + player.width / 2 &&
-                               Math.abs(dy) < boat.h / 2 + player.height / 2;
-                    });
+                if (tile === TILES.LAVA || tile === TILES.WATER) {
+                    // Boats save players from lava, and are the only way out onto water
+                    const onBoat = gameState.boats.some(boat => this.isOnBoat(player, boat));
                     
                     if (!onBoat) {
-                        // Mark player as dead to prevent multiple death events
-                        player.isDead = true;
-                        // Player death from lava
-                        this.io.to(gameState.roomCode).emit('player_death', {
-                            playerId: player.id
-                        });
+                        // Player death from lava or drowning
+                        this.killPlayer(gameState, player);
                         return; // Skip further collision checks for this player
                     }
                 }
@@ -564,19 +735,18 @@ class QbitCityGameLoop {
             
             // Enemy collisions
             gameState.enemies.forEach(enemy => {
+                if (enemy.destroyed) return;
                 const dist = Math.hypot(player.x - enemy.x, player.y - enemy.y);
                 if (dist < (player.width / 2 + enemy.width / 2)) {
                     if (!player.immunityActive && !player.isDead) {
-                        // Mark player as dead to prevent multiple death events
-                        player.isDead = true;
                         // Player death - handled by game handler
-                        this.io.to(gameState.roomCode).emit('player_death', {
-                            playerId: player.id
-                        });
+                        this.killPlayer(gameState, player);
+                    } else if (player.immunityActive && enemy.fragile) {
+                        enemy.destroyed = true;
                     } else if (player.immunityActive) {
                         // Push enemy away
                         const newPos = qbitCityGameStateManager.spawnEnemy(
-                            gameState.map,
+                            gameState,
                             player.x,
                             player.y,
                             500
@@ -597,13 +767,15 @@ class QbitCityGameLoop {
                 if (d < 25) {
                     coin.collected = true;
                     player.coinsCollected++;
+                    statsTracker.record(player, 'coins');
+                    getGameMode(gameState.mode).onCoinCollected(gameState, player);
                     
-                    if (player.coinsCollected >= COINS_FOR_IMMUNITY) {
-                        if (player.immunityInventory < MAX_IMMUNITY_INVENTORY) {
+                    if (player.coinsCollected >= gameState.rules.coinsForImmunity) {
+                        if (player.immunityInventory < gameState.rules.maxImmunityInventory) {
                             player.immunityInventory++;
                             player.coinsCollected = 0;
                         } else {
-                            player.coinsCollected = COINS_FOR_IMMUNITY - 1;
+                            player.coinsCollected = gameState.rules.coinsForImmunity - 1;
                         }
                     }
                 }
@@ -615,7 +787,7 @@ class QbitCityGameLoop {
                 if (d < 30) {
                     pickup.collected = true;
                     player.immunityActive = true;
-                    player.immunityEndTime = gameState.gameTime + IMMUNITY_DURATION;
+                    player.immunityEndTime = gameState.gameTime + gameState.rules.immunityDuration;
                 }
             });
 
@@ -634,14 +806,18 @@ class QbitCityGameLoop {
             if (player.portalCooldown <= 0) {
                 gameState.portals.forEach((portal, i) => {
                     const d = Math.hypot(player.x - portal.x, player.y - portal.y);
-                    if (d < 20) {
+                    // The cooldown also stops the destination portal sending the player straight back
+                    if (d < 20 && player.portalCooldown <= 0) {
                         const otherPortals = gameState.portals.filter((_, idx) => idx !== i);
                         if (otherPortals.length > 0) {
-                            const dest = otherPortals[Math.floor(Math.random() * otherPortals.length)];
+                            // Paired portals always lead to their partner, others to any portal
+                            const dest = otherPortals.find(p => p.id === portal.targetId) ||
+                                otherPortals[randomInt(gameState, 0, otherPortals.length)];
                             player.x = dest.x;
                             player.y = dest.y;
                             player.portalCooldown = 2.0;
                             player.trail = [];
+                            statsTracker.record(player, 'portalUses');
                         }
                     }
                 });
@@ -649,13 +825,18 @@ class QbitCityGameLoop {
 
             // Enemy-sink collisions
             gameState.enemies.forEach(enemy => {
-                for (let i = gameState.deployedSinks.length - 1; i >= 0; i--) {
+                for (let i = gameState.deployedSinks.length - 1; i >= 0 && !enemy.destroyed; i--) {
                     const sink = gameState.deployedSinks[i];
                     const d = Math.hypot(enemy.x - sink.x, enemy.y - sink.y);
                     if (d < 25) {
                         gameState.deployedSinks.splice(i, 1);
+                        statsTracker.record(gameState.players.find(p => p.id === sink.ownerId), 'enemiesTrapped');
+                        if (enemy.fragile) {
+                            enemy.destroyed = true;
+                            continue;
+                        }
                         const newPos = qbitCityGameStateManager.spawnEnemy(
-                            gameState.map,
+                            gameState,
                             player.x,
                             player.y,
                             1000
@@ -669,29 +850,31 @@ class QbitCityGameLoop {
                 }
             });
         });
+
+        // Fragile enemies caught by an immune player or a sink, and enemies swallowed by hazards, are gone for good
+        gameState.enemies = gameState.enemies.filter(enemy => !enemy.destroyed);
     }
 
-    checkCollision(x, y, width, height, map, isPlayer) {
+    checkCollision(x, y, width, height, map, crossesLava, onDeck = false) {
+        const { tileSize, gridWidth, gridHeight } = map;
         const halfW = width / 2;
         const halfH = height / 2;
         const l = x - halfW;
         const r = x + halfW;
         const t = y - halfH;
         const b = y + halfH;
-        const gridX = Math.floor(x / TILE_SIZE);
-        const gridY = Math.floor(y / TILE_SIZE);
+        const gridX = Math.floor(x / tileSize);
+        const gridY = Math.floor(y / tileSize);
 
         for (let gy = gridY - 1; gy <= gridY + 1; gy++) {
             for (let gx = gridX - 1; gx <= gridX + 1; gx++) {
-                if (gy >= 0 && gy < MAP_HEIGHT && gx >= 0 && gx < MAP_WIDTH) {
+                if (gy >= 0 && gy < gridHeight && gx >= 0 && gx < gridWidth) {
                     const tile = map.tiles[gy][gx];
-                    let solid = tile === 1 || tile === 3;
-                    if (tile === 4 && !isPlayer) solid = true;
-
-                    if (solid) {
-                        const bx = gx * TILE_SIZE;
-                        const by = gy * TILE_SIZE;
-                        if (l < bx + TILE_SIZE && r > bx && t < by + TILE_SIZE && b > by) {
+                    // Standing on a boat deck only lifts the water and lava beneath it
+                    if (isSolidTile(tile, crossesLava) && !(onDeck && (tile === TILES.WATER || tile === TILES.LAVA))) {
+                        const bx = gx * tileSize;
+                        const by = gy * tileSize;
+                        if (l < bx + tileSize && r > bx && t < by + tileSize && b > by) {
                             return true;
                         }
                     }
@@ -701,39 +884,56 @@ class QbitCityGameLoop {
         return false;
     }
 
-    broadcastGameState(roomCode, gameState) {
-        // Create sanitized state for clients
-        const clientState = {
-            players: gameState.players.map(p => ({
-                id: p.id,
-                name: p.name,
-                x: p.x,
-                y: p.y,
-                velX: p.velX,
-                velY: p.velY,
-                dirX: p.dirX,
-                dirY: p.dirY,
-                speed: p.speed,
-                trail: p.trail || [],
-                coinsCollected: p.coinsCollected,
-                immunityInventory: p.immunityInventory,
-                sinkInventory: p.sinkInventory,
-                energy: p.energy,
-                immunityActive: p.immunityActive,
-                immunityEndTime: p.immunityEndTime
-            })),
-            enemies: gameState.enemies,
-            boats: gameState.boats,
-            coins: gameState.coins.filter(c => !c.collected),
-            immunityPickups: gameState.immunityPickups.filter(p => !p.collected),
-            sinkCollectibles: gameState.sinkCollectibles.filter(s => !s.collected),
-            deployedSinks: gameState.deployedSinks,
-            portals: gameState.portals,
+    /**
+     * Build a client-facing copy of the game state.
+     * Everything is copied so snapshots kept as delta baselines never change underneath us.
+     */
+    buildSnapshot(gameState, currentTime) {
+        return {
+            players: qbitCityGameStateManager.getPublicPlayers(gameState),
+            enemies: qbitCityGameStateManager.getPublicEnemies(gameState),
+            boats: qbitCityGameStateManager.getPublicBoats(gameState),
+            coins: gameState.coins.filter(c => !c.collected).map(c => ({ ...c })),
+            immunityPickups: gameState.immunityPickups.filter(p => !p.collected).map(p => ({ ...p })),
+            sinkCollectibles: gameState.sinkCollectibles.filter(s => !s.collected).map(s => ({ ...s })),
+            deployedSinks: gameState.deployedSinks.map(s => ({ ...s })),
+            portals: gameState.portals.map(p => ({ ...p })),
+            mode: gameState.mode,
+            modeState: structuredClone(getGameMode(gameState.mode).getPublicState(gameState)),
+            difficulty: gameState.difficultyStage,
+            hazards: structuredClone(gameState.hazards.warnings),
             gameTime: gameState.gameTime,
-            timestamp: Date.now()
+            timestamp: currentTime
         };
+    }
+
+    broadcastGameState(roomCode, gameState, currentTime) {
+        const snapshot = snapshotManager.numberSnapshot(roomCode, this.buildSnapshot(gameState, currentTime));
 
-        this.io.to(roomCode).emit('game_state', clientState);
+        const socketIds = this.io.sockets.adapter.rooms.get(roomCode);
+        if (!socketIds) return;
+
+        // Each client sees what is near its player (or the player a spectator follows),
+        // as a delta against the last view it acknowledged
+        const grid = interestManager.buildGrid(snapshot);
+        socketIds.forEach(socketId => {
+            const focusId = roomManager.getFocusPlayerId(socketId);
+            const focus = snapshot.players.find(p => p.id === focusId);
+            const view = interestManager.filterSnapshot(snapshot, focus, grid);
+
+            this.io.to(socketId).emit(
+                SOCKET_EVENTS.SERVER.GAME_STATE,
+                snapshotManager.encodeFor(roomCode, socketId, view)
+            );
+        });
+
+        // Everything outside the view only reaches clients as a low-frequency minimap summary
+        if (gameState.tick % Math.round(AOI_CONFIG.MINIMAP_INTERVAL * this.tickRate) === 0) {
+            this.io.to(roomCode).emit(
+                SOCKET_EVENTS.SERVER.MINIMAP_UPDATE,
+                interestManager.buildSummary(snapshot, gameState.map)
+            );
+        }
     }
 }
 
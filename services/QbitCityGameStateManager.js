@@ -4,17 +4,18 @@
  */
 
 import roomManager from './RoomManager.js';
-import { GAME_CONFIG } from '../config/constants.js';
-
-const TILE_SIZE = 64;
-const MAP_WIDTH = 50;
-const MAP_HEIGHT = 50;
-const BASE_PLAYER_SPEED = 300;
-const BASE_ENEMY_SPEED = 250;
-const IMMUNITY_DURATION = 10;
-const COLLECTIBLES_START_TIME = 30;
-const COINS_FOR_IMMUNITY = 5;
-const MAX_IMMUNITY_INVENTORY = 3;
+import replayRecorder from './ReplayRecorder.js';
+import snapshotManager from './SnapshotManager.js';
+import statsTracker from './StatsTracker.js';
+import enemyAI from './EnemyAI.js';
+import hazardManager from './HazardManager.js';
+import interestManager from './InterestManager.js';
+import { GAME_CONFIG, ERROR_CODES, ENEMY_ARCHETYPES, DIFFICULTY_CURVE, MAP_CONFIG, TILES, BOAT_CONFIG, BOAT_STATES } from '../config/constants.js';
+import { hashSeed, nextRandom, randomInt } from '../utils/random.js';
+import { normalizeRules } from '../utils/roomUtils.js';
+import { getGameMode } from './gameModes/index.js';
+import { generateMap, buildCustomMap, getCustomMap } from './maps/index.js';
+import { getRouteLength, getRoutePosition } from '../utils/boatRoutes.js';
 
 class QbitCityGameStateManager {
     constructor() {
@@ -31,214 +32,184 @@ class QbitCityGameStateManager {
     /**
      * Initialize game state for a room
      * @param {string} roomCode - Room code
-     * @param {number} mapSeed - Seed for deterministic map generation
+     * @param {number|string} mapSeed - Seed for deterministic map generation and simulation;
+     *                                   defaults to the room's fixed seed, or a fresh one
      */
-    initializeRoom(roomCode, mapSeed = Date.now()) {
+    initializeRoom(roomCode, mapSeed) {
         const room = roomManager.getRoom(roomCode);
         if (!room) return null;
 
-        // Generate deterministic map
-        const map = this.generateMap(mapSeed);
-        
-        // Initialize boats
-        const boats = this.initializeBoats();
-        
-        // Spawn players at safe positions
-        const players = this.initializePlayers(room, map);
-        
-        // Initialize enemies
-        const enemies = [];
-        for (let i = 0; i < 3; i++) {
-            const enemy = this.spawnEnemy(map, players[0]?.x || 0, players[0]?.y || 0);
-            if (enemy) enemies.push(enemy);
+        mapSeed ??= room.mapSeed ?? Date.now();
+
+        // Only maps that passed validation at load time are registered
+        let customMap = null;
+        if (room.customMap) {
+            customMap = getCustomMap(room.customMap);
+            if (!customMap) {
+                console.log(`Custom map ${room.customMap} is not loaded for room ${roomCode}`);
+                return null;
+            }
         }
 
+        const gameState = this.createGameState(roomCode, room, mapSeed, customMap);
+        this.roomStates.set(roomCode, gameState);
+        return gameState;
+    }
+
+    /**
+     * Build the initial game state for a room's players without registering it.
+     * Replays use this to rebuild a match from its recorded room config.
+     * @param {object|null} customMap - Validated custom map definition, or null to generate one
+     */
+    createGameState(roomCode, room, mapSeed, customMap = null) {
+        // Rules are fixed for the whole match, even if the host edits them afterwards
+        const rules = normalizeRules(room.rules);
+
+        const mode = getGameMode(room.mode);
+
         const gameState = {
             roomCode,
-            map,
-            players,
-            enemies,
-            boats,
+            mode: mode.id,
+            rules,
+            // Generate deterministic map
+            map: customMap
+                ? buildCustomMap(customMap, mapSeed)
+                : generateMap(room.mapLayout, mapSeed, room.mapWidth ?? MAP_CONFIG.WIDTH, room.mapHeight ?? MAP_CONFIG.HEIGHT),
+            players: [],
+            enemies: [],
+            boats: [],
             coins: [],
             immunityPickups: [],
             sinkCollectibles: [],
             deployedSinks: [],
-            portals: this.generatePortals(map),
+            portals: [],
             gameTime: 0,
             enemySpawnTimer: 0,
+            difficultyStage: 0, // index into DIFFICULTY_CURVE
+            hazards: hazardManager.createState(rules),
             coinSpawnTimer: 0,
             immunityPickupSpawnTimer: 0,
             sinkSpawnTimer: 0,
-            nextCoinSpawnTime: 10 + Math.random() * 5,
-            nextImmunityPickupSpawnTime: 20 + Math.random() * 10,
-            nextSinkSpawnTime: 25 + Math.random() * 10,
+            nextCoinSpawnTime: 0,
+            nextImmunityPickupSpawnTime: 0,
+            nextSinkSpawnTime: 0,
             collectiblesInitialized: false,
             coinsInitialized: false,
             speedBoostApplied: false,
-            mapSeed
+            endConditions: { ...room.endConditions },
+            finished: false,
+            mapSeed,
+            tick: 0,
+            // Every random draw in the simulation comes from this stream
+            rngState: hashSeed(`${mapSeed}:simulation`),
+            nextEntityId: 0
         };
 
-        this.roomStates.set(roomCode, gameState);
-        return gameState;
-    }
+        gameState.boats = this.initializeBoats(gameState, rules.boatCount);
 
-    /**
-     * Generate deterministic map
-     */
-    generateMap(seed) {
-        // Use seeded random for deterministic generation
-        const rng = this.seededRandom(seed);
-        
-        const tiles = [];
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            const row = [];
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                row.push(1); // Default to sidewalk
-            }
-            tiles.push(row);
-        }
+        // Spawn players at safe positions
+        gameState.players = this.initializePlayers(room, gameState);
 
-        // Generate roads (grid pattern)
-        const blockSize = 4;
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                const isRoadRow = y % blockSize === 0;
-                const isRoadCol = x % blockSize === 0;
-
-                if (isRoadRow || isRoadCol) {
-                    tiles[y][x] = 0; // Road
-                } else {
-                    const rand = rng();
-                    if (rand < 0.05) {
-                        // Water
-                        for (let ly = y - 1; ly <= y + 1; ly++) {
-                            for (let lx = x - 1; lx <= x + 1; lx++) {
-                                if (ly >= 0 && ly < MAP_HEIGHT && lx >= 0 && lx < MAP_WIDTH) {
-                                    if (tiles[ly][lx] !== 0) {
-                                        tiles[ly][lx] = 3; // Water
-                                    }
-                                }
-                            }
-                        }
-                    } else if (rand < 0.15) {
-                        tiles[y][x] = 2; // Grass
-                    }
-                }
-            }
+        // Initialize enemies
+        for (let i = 0; i < rules.startingEnemies; i++) {
+            const enemy = this.spawnEnemy(
+                gameState,
+                gameState.players[0]?.x || 0,
+                gameState.players[0]?.y || 0,
+                undefined,
+                this.pickEnemyArchetype(gameState)
+            );
+            if (enemy) gameState.enemies.push(enemy);
         }
 
-        // Set perimeter to lava
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                if (x === 0 || x === MAP_WIDTH - 1 || y === 0 || y === MAP_HEIGHT - 1) {
-                    tiles[y][x] = 4; // Lava
-                }
-            }
-        }
+        gameState.portals = this.generatePortals(gameState);
+        gameState.nextCoinSpawnTime = 10 + nextRandom(gameState) * 5;
+        gameState.nextImmunityPickupSpawnTime = 20 + nextRandom(gameState) * 10;
+        gameState.nextSinkSpawnTime = 25 + nextRandom(gameState) * 10;
 
-        // Generate buildings
-        const buildings = [];
-        const trees = [];
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                const tile = tiles[y][x];
-                const px = x * TILE_SIZE;
-                const py = y * TILE_SIZE;
-
-                if (tile === 1) {
-                    const rand = rng();
-                    let type = 0; // Residential
-                    let height = 40 + rng() * 60;
-                    let color = '#252525';
-                    let wallColor = '#151515';
-
-                    if (rand > 0.9) {
-                        type = 1; // Shop
-                        height = 30 + rng() * 20;
-                        color = '#331133';
-                        wallColor = '#220022';
-                    } else if (rand > 0.8) {
-                        type = 2; // Cafe
-                        height = 25 + rng() * 15;
-                        color = '#2e3b2e';
-                        wallColor = '#1a221a';
-                    }
+        mode.setup(gameState);
 
-                    buildings.push({
-                        gridX: x,
-                        gridY: y,
-                        x: px,
-                        y: py,
-                        w: TILE_SIZE,
-                        h: TILE_SIZE,
-                        height,
-                        color,
-                        wallColor,
-                        type
-                    });
-                } else if (tile === 2 && rng() > 0.3) {
-                    trees.push({
-                        x: px + TILE_SIZE / 2 + (rng() * 20 - 10),
-                        y: py + TILE_SIZE / 2 + (rng() * 20 - 10),
-                        r: 10 + rng() * 10
-                    });
-                }
-            }
-        }
-
-        return {
-            width: MAP_WIDTH * TILE_SIZE,
-            height: MAP_HEIGHT * TILE_SIZE,
-            tiles,
-            buildings,
-            trees
-        };
+        return gameState;
     }
 
     /**
-     * Seeded random number generator
+     * Create an entity ID that is unique within the room and stable across replays
      */
-    seededRandom(seed) {
-        let value = seed;
-        return function() {
-            value = (value * 9301 + 49297) % 233280;
-            return value / 233280;
-        };
+    createEntityId(gameState, prefix) {
+        return `${prefix}_${gameState.nextEntityId++}`;
     }
 
     /**
-     * Initialize boats
+     * Initialize boats, dealt out across the map's boat routes and spaced evenly along each
      */
-    initializeBoats() {
+    initializeBoats(gameState, boatCount) {
+        const routes = gameState.map.boatRoutes;
         const boats = [];
-        const perimeter = (MAP_WIDTH * 2 + MAP_HEIGHT * 2) * TILE_SIZE;
-        const boatCount = 10;
-        const spacing = perimeter / boatCount;
 
         for (let i = 0; i < boatCount; i++) {
-            boats.push({
+            const route = i % routes.length;
+            const boatsOnRoute = Math.ceil((boatCount - route) / routes.length);
+            const dist = Math.floor(i / routes.length) * getRouteLength(routes[route].waypoints) / boatsOnRoute;
+
+            const boat = {
                 id: `boat_${i}`,
-                dist: i * spacing,
-                x: 0,
-                y: 0,
-                w: 48,
-                h: 48,
-                velX: 0,
-                velY: 0,
-                life: 10.0,
-                maxLife: 10.0
-            });
+                w: BOAT_CONFIG.WIDTH,
+                h: BOAT_CONFIG.HEIGHT
+            };
+            this.launchBoat(gameState, boat, route, dist);
+            boats.push(boat);
         }
         return boats;
     }
 
+    /**
+     * Put a boat afloat at a distance along a route, with a freshly rolled lifetime
+     */
+    launchBoat(gameState, boat, route, dist) {
+        const { waypoints, speed } = gameState.map.boatRoutes[route];
+        const { x, y, dirX, dirY } = getRoutePosition(waypoints, dist);
+        const lifetime = BOAT_CONFIG.MIN_LIFETIME + nextRandom(gameState) * (BOAT_CONFIG.MAX_LIFETIME - BOAT_CONFIG.MIN_LIFETIME);
+
+        Object.assign(boat, {
+            route,
+            dist,
+            x,
+            y,
+            velX: dirX * speed,
+            velY: dirY * speed,
+            state: BOAT_STATES.AFLOAT,
+            life: lifetime,
+            maxLife: lifetime,
+            stateEndsAt: null // when sinking finishes, or when a sunk boat respawns
+        });
+    }
+
+    /**
+     * Relaunch a sunk boat somewhere random on any route
+     */
+    respawnBoat(gameState, boat) {
+        const routes = gameState.map.boatRoutes;
+        const route = randomInt(gameState, 0, routes.length);
+        const dist = nextRandom(gameState) * getRouteLength(routes[route].waypoints);
+        this.launchBoat(gameState, boat, route, dist);
+    }
+
     /**
      * Initialize player positions
      */
-    initializePlayers(room, map) {
+    initializePlayers(room, gameState) {
+        const { map } = gameState;
+        const { tileSize, gridWidth, gridHeight } = map;
         const players = [];
-        
+
         room.players.forEach((roomPlayer, index) => {
+            // Hand-made maps place players on their spawn points in turn
+            if (map.spawnPoints.length > 0) {
+                const spawn = map.spawnPoints[index % map.spawnPoints.length];
+                players.push(this.createPlayer(gameState, roomPlayer, spawn.x, spawn.y));
+                return;
+            }
+
             // Find safe spawn position
             let spawnFound = false;
             let spawnX = 0, spawnY = 0;
@@ -246,59 +217,119 @@ class QbitCityGameStateManager {
 
             while (!spawnFound && attempts < 100) {
                 attempts++;
-                const x = Math.floor(Math.random() * (MAP_WIDTH - 2)) + 1;
-                const y = Math.floor(Math.random() * (MAP_HEIGHT - 2)) + 1;
-                
+                const x = randomInt(gameState, 1, gridWidth - 1);
+                const y = randomInt(gameState, 1, gridHeight - 1);
+
                 if (map.tiles[y][x] === 0) { // Road
-                    spawnX = x * TILE_SIZE + TILE_SIZE / 2;
-                    spawnY = y * TILE_SIZE + TILE_SIZE / 2;
+                    spawnX = x * tileSize + tileSize / 2;
+                    spawnY = y * tileSize + tileSize / 2;
                     spawnFound = true;
                 }
             }
 
-            players.push({
-                id: roomPlayer.id,
-                name: roomPlayer.name,
-                x: spawnX,
-                y: spawnY,
-                width: 24,
-                height: 24,
-                speed: BASE_PLAYER_SPEED,
-                velX: 0,
-                velY: 0,
-                dirX: 0,
-                dirY: 1,
-                trail: [],
-                portalCooldown: 0,
-                coinsCollected: 0,
-                immunityInventory: 0,
-                sinkInventory: 0,
-                energy: 0,
-                immunityActive: false,
-                immunityEndTime: 0,
-                isDead: false
-            });
+            players.push(this.createPlayer(gameState, roomPlayer, spawnX, spawnY));
         });
 
         return players;
     }
 
+    /**
+     * Player speed under the room's rules, including the mid-match boost once it has kicked in
+     */
+    getPlayerSpeed(gameState) {
+        const { rules } = gameState;
+        return gameState.speedBoostApplied ? rules.playerSpeed * rules.speedBoostMultiplier : rules.playerSpeed;
+    }
+
+    /**
+     * Fresh in-game player for a room player
+     */
+    createPlayer(gameState, roomPlayer, x, y) {
+        return {
+            id: roomPlayer.id,
+            name: roomPlayer.name,
+            x,
+            y,
+            width: 24,
+            height: 24,
+            speed: this.getPlayerSpeed(gameState),
+            velX: 0,
+            velY: 0,
+            dirX: 0,
+            dirY: 1,
+            trail: [],
+            portalCooldown: 0,
+            coinsCollected: 0,
+            totalCoins: 0,
+            immunityInventory: 0,
+            sinkInventory: 0,
+            energy: 0,
+            immunityActive: false,
+            immunityEndTime: 0,
+            isDead: false,
+            deathTime: null,
+            disconnected: !roomPlayer.connected,
+            lastProcessedInput: 0,
+            stats: statsTracker.createStats(),
+            // Lobby team choice; the mode decides whether teams are used
+            teamId: roomPlayer.teamId ?? null
+        };
+    }
+
+    /**
+     * Drop a player into a match already in progress, at a spawn away from enemies
+     * @returns {object|null} - The new player, or null if there is no running game
+     */
+    addLatePlayer(roomCode, roomPlayer) {
+        const gameState = this.roomStates.get(roomCode);
+        if (!gameState) return null;
+
+        const existing = gameState.players.find(p => p.id === roomPlayer.id);
+        if (existing) return existing;
+
+        const spawn = this.findSafeSpawn(gameState);
+        const player = this.createPlayer(gameState, roomPlayer, spawn.x, spawn.y);
+        getGameMode(gameState.mode).onPlayerJoin(gameState, player);
+        gameState.players.push(player);
+        return player;
+    }
+
     /**
      * Generate portals
      */
-    generatePortals(map) {
+    generatePortals(gameState) {
+        const { map } = gameState;
+        const { tileSize, gridWidth, gridHeight } = map;
         const portals = [];
         let portalsCreated = 0;
-        
+
+        // Fixed pairs send players to each other; both ends share a colour
+        if (map.portalPairs.length > 0) {
+            map.portalPairs.forEach((pair, i) => {
+                const color = `hsl(${Math.round(i * 360 / map.portalPairs.length)}, 100%, 50%)`;
+                const ends = pair.map(({ x, y }) => ({
+                    id: this.createEntityId(gameState, 'portal'),
+                    x,
+                    y,
+                    color,
+                    angle: 0
+                }));
+                ends[0].targetId = ends[1].id;
+                ends[1].targetId = ends[0].id;
+                portals.push(...ends);
+            });
+            return portals;
+        }
+
         while (portalsCreated < 4) {
-            const px = Math.floor(Math.random() * (MAP_WIDTH - 2)) + 1;
-            const py = Math.floor(Math.random() * (MAP_HEIGHT - 2)) + 1;
-            
+            const px = randomInt(gameState, 1, gridWidth - 1);
+            const py = randomInt(gameState, 1, gridHeight - 1);
+
             if (map.tiles[py][px] === 0) {
                 portals.push({
-                    id: `portal_${portalsCreated}`,
-                    x: px * TILE_SIZE + TILE_SIZE / 2,
-                    y: py * TILE_SIZE + TILE_SIZE / 2,
+                    id: this.createEntityId(gameState, 'portal'),
+                    x: px * tileSize + tileSize / 2,
+                    y: py * tileSize + tileSize / 2,
                     color: `hsl(${portalsCreated * 90}, 100%, 50%)`,
                     angle: 0
                 });
@@ -310,24 +341,64 @@ class QbitCityGameStateManager {
     }
 
     /**
-     * Spawn enemy at safe distance from players
+     * Difficulty stage in effect at the current game time
      */
-    spawnEnemy(map, avoidX, avoidY, minDist = 800) {
+    getDifficultyStage(gameState) {
+        let stage = 0;
+        while (stage + 1 < DIFFICULTY_CURVE.length && gameState.gameTime >= DIFFICULTY_CURVE[stage + 1].time) {
+            stage++;
+        }
+        return stage;
+    }
+
+    /**
+     * Roll an archetype from the current difficulty stage's weights
+     */
+    pickEnemyArchetype(gameState) {
+        const weights = Object.entries(DIFFICULTY_CURVE[gameState.difficultyStage].archetypes);
+        const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = nextRandom(gameState) * total;
+
+        for (const [archetype, weight] of weights) {
+            roll -= weight;
+            if (roll < 0) return archetype;
+        }
+        return weights[weights.length - 1][0];
+    }
+
+    /**
+     * Enemy speed under its archetype, the difficulty stage and the mid-match boost
+     */
+    getEnemySpeed(gameState, enemy) {
+        const archetype = ENEMY_ARCHETYPES[enemy.archetype];
+        const stage = DIFFICULTY_CURVE[gameState.difficultyStage];
+        const boost = gameState.speedBoostApplied ? gameState.rules.speedBoostMultiplier : 1;
+        return enemy.baseSpeed * archetype.speedMultiplier * stage.speedMultiplier * boost;
+    }
+
+    /**
+     * Find a road tile away from (avoidX, avoidY) and build an enemy of the given archetype there
+     */
+    spawnEnemy(gameState, avoidX, avoidY, minDist = 800, archetype = 'standard') {
+        const { map } = gameState;
+        const { tileSize, gridWidth, gridHeight } = map;
+        // Small maps have few tiles that far from anyone, so keep the gap within reach
+        const gap = Math.min(minDist, Math.max(map.width, map.height) / 2);
         let ex = 0, ey = 0;
         let valid = false;
         let attempts = 0;
 
         while (!valid && attempts < 100) {
             attempts++;
-            const rx = Math.floor(Math.random() * (MAP_WIDTH - 2)) + 1;
-            const ry = Math.floor(Math.random() * (MAP_HEIGHT - 2)) + 1;
+            const rx = randomInt(gameState, 1, gridWidth - 1);
+            const ry = randomInt(gameState, 1, gridHeight - 1);
 
-            if (map.tiles[ry][rx] === 0) {
-                const candidateX = rx * TILE_SIZE + TILE_SIZE / 2;
-                const candidateY = ry * TILE_SIZE + TILE_SIZE / 2;
+            if (map.tiles[ry][rx] === TILES.ROAD) {
+                const candidateX = rx * tileSize + tileSize / 2;
+                const candidateY = ry * tileSize + tileSize / 2;
                 const d = Math.hypot(candidateX - avoidX, candidateY - avoidY);
                 
-                if (d > minDist) {
+                if (d > gap) {
                     ex = candidateX;
                     ey = candidateY;
                     valid = true;
@@ -335,19 +406,46 @@ class QbitCityGameStateManager {
             }
         }
 
+        // Some layouts have no road that far away; settle for the farthest one there is
+        if (!valid) {
+            let farthest = -1;
+            for (let gy = 1; gy < gridHeight - 1; gy++) {
+                for (let gx = 1; gx < gridWidth - 1; gx++) {
+                    if (map.tiles[gy][gx] !== TILES.ROAD) continue;
+                    const candidateX = gx * tileSize + tileSize / 2;
+                    const candidateY = gy * tileSize + tileSize / 2;
+                    const d = Math.hypot(candidateX - avoidX, candidateY - avoidY);
+                    if (d > farthest) {
+                        farthest = d;
+                        ex = candidateX;
+                        ey = candidateY;
+                        valid = true;
+                    }
+                }
+            }
+        }
+
         if (valid) {
-            return {
-                id: `enemy_${Date.now()}_${Math.random()}`,
+            const { size, crossesLava, fragile } = ENEMY_ARCHETYPES[archetype];
+            const enemy = {
+                id: this.createEntityId(gameState, 'enemy'),
+                archetype,
                 x: ex,
                 y: ey,
-                width: 24,
-                height: 24,
-                speed: BASE_ENEMY_SPEED + Math.random() * 30,
+                width: size,
+                height: size,
+                baseSpeed: gameState.rules.enemySpeed + nextRandom(gameState) * 30,
+                speed: 0,
+                crossesLava,
+                fragile,
                 trail: [],
                 stuckTime: 0,
                 flankTimer: 0,
-                flankDir: { x: 0, y: 0 }
+                flankDir: { x: 0, y: 0 },
+                ...enemyAI.createState(gameState, ex, ey)
             };
+            enemy.speed = this.getEnemySpeed(gameState, enemy);
+            return enemy;
         }
         
         return null;
@@ -373,25 +471,74 @@ class QbitCityGameStateManager {
         const player = gameState.players.find(p => p.id === playerId);
         if (!player) return null;
 
-        // Find a safe spawn position on road tiles, away from enemies
+        const spawn = this.findSafeSpawn(gameState);
+
+        // Reset player state
+        player.x = spawn.x;
+        player.y = spawn.y;
+        player.velX = 0;
+        player.velY = 0;
+        player.dirX = 0;
+        player.dirY = 1;
+        player.trail = [];
+        player.coinsCollected = 0;
+        player.immunityInventory = 0;
+        player.sinkInventory = 0;
+        player.energy = 0;
+        player.immunityActive = false;
+        player.immunityEndTime = 0;
+        player.portalCooldown = 0;
+        player.speed = this.getPlayerSpeed(gameState);
+        player.isDead = false; // Reset death flag so player can die again
+        player.deathTime = null;
+
+        // Clear input buffer for this player
+        this.inputBuffers.delete(playerId);
+
+        return {
+            id: player.id,
+            name: player.name,
+            x: player.x,
+            y: player.y,
+            speed: player.speed
+        };
+    }
+
+    /**
+     * Find a road tile away from all enemies, falling back to any road tile.
+     * Maps with spawn points only ever spawn players on those.
+     * @returns {object} - Pixel position { x, y } of the tile centre
+     */
+    findSafeSpawn(gameState, minEnemyDistance = 500) {
+        // Spawn points lost to lava or flooding are skipped
+        const { map } = gameState;
+        const spawnPoints = map.spawnPoints.filter(({ x, y }) => {
+            const tile = map.tiles[Math.floor(y / map.tileSize)][Math.floor(x / map.tileSize)];
+            return tile === TILES.ROAD || tile === TILES.GRASS;
+        });
+        if (spawnPoints.length > 0) {
+            return this.pickSpawnPoint(gameState, spawnPoints, minEnemyDistance);
+        }
+
+        const { tileSize, gridWidth, gridHeight } = map;
         let spawnFound = false;
         let spawnX = 0, spawnY = 0;
         let attempts = 0;
 
         while (!spawnFound && attempts < 100) {
             attempts++;
-            const x = Math.floor(Math.random() * (MAP_WIDTH - 2)) + 1;
-            const y = Math.floor(Math.random() * (MAP_HEIGHT - 2)) + 1;
+            const x = randomInt(gameState, 1, gridWidth - 1);
+            const y = randomInt(gameState, 1, gridHeight - 1);
 
             if (gameState.map.tiles[y][x] === 0) { // Road
-                const candidateX = x * TILE_SIZE + TILE_SIZE / 2;
-                const candidateY = y * TILE_SIZE + TILE_SIZE / 2;
+                const candidateX = x * tileSize + tileSize / 2;
+                const candidateY = y * tileSize + tileSize / 2;
 
                 // Check distance from all enemies
                 let safeFromEnemies = true;
                 for (const enemy of gameState.enemies) {
                     const dist = Math.hypot(candidateX - enemy.x, candidateY - enemy.y);
-                    if (dist < 500) { // Minimum distance from enemies
+                    if (dist < minEnemyDistance) {
                         safeFromEnemies = false;
                         break;
                     }
@@ -407,45 +554,271 @@ class QbitCityGameStateManager {
 
         // Fallback: just find any road tile if no safe spot found
         if (!spawnFound) {
-            for (let y = 1; y < MAP_HEIGHT - 1 && !spawnFound; y++) {
-                for (let x = 1; x < MAP_WIDTH - 1 && !spawnFound; x++) {
+            for (let y = 1; y < gridHeight - 1 && !spawnFound; y++) {
+                for (let x = 1; x < gridWidth - 1 && !spawnFound; x++) {
                     if (gameState.map.tiles[y][x] === 0) {
-                        spawnX = x * TILE_SIZE + TILE_SIZE / 2;
-                        spawnY = y * TILE_SIZE + TILE_SIZE / 2;
+                        spawnX = x * tileSize + tileSize / 2;
+                        spawnY = y * tileSize + tileSize / 2;
                         spawnFound = true;
                     }
                 }
             }
         }
 
-        // Reset player state
-        player.x = spawnX;
-        player.y = spawnY;
-        player.velX = 0;
-        player.velY = 0;
-        player.dirX = 0;
-        player.dirY = 1;
-        player.trail = [];
-        player.coinsCollected = 0;
-        player.immunityInventory = 0;
-        player.sinkInventory = 0;
-        player.energy = 0;
-        player.immunityActive = false;
-        player.immunityEndTime = 0;
-        player.portalCooldown = 0;
-        player.speed = BASE_PLAYER_SPEED;
-        player.isDead = false; // Reset death flag so player can die again
+        return { x: spawnX, y: spawnY };
+    }
 
-        // Clear input buffer for this player
-        this.inputBuffers.delete(playerId);
+    /**
+     * A random spawn point with no enemy within minEnemyDistance, or the one furthest from
+     * any enemy when none is that safe
+     */
+    pickSpawnPoint(gameState, spawnPoints, minEnemyDistance) {
+        const clearance = spawnPoints.map(point => Math.min(
+            Infinity,
+            ...gameState.enemies.map(enemy => Math.hypot(point.x - enemy.x, point.y - enemy.y))
+        ));
+
+        const safe = spawnPoints.filter((_, i) => clearance[i] >= minEnemyDistance);
+        if (safe.length > 0) {
+            const { x, y } = safe[randomInt(gameState, 0, safe.length)];
+            return { x, y };
+        }
+
+        const furthest = clearance.indexOf(Math.max(...clearance));
+        return { x: spawnPoints[furthest].x, y: spawnPoints[furthest].y };
+    }
+
+    /**
+     * Client-facing copies of the players, shared by full states and per-tick snapshots
+     */
+    getPublicPlayers(gameState) {
+        return gameState.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            x: p.x,
+            y: p.y,
+            velX: p.velX,
+            velY: p.velY,
+            dirX: p.dirX,
+            dirY: p.dirY,
+            speed: p.speed,
+            trail: [...(p.trail || [])],
+            coinsCollected: p.coinsCollected,
+            totalCoins: p.totalCoins,
+            teamId: p.teamId ?? null,
+            teamColor: p.teamColor ?? null,
+            reviveProgress: p.reviveProgress ?? 0,
+            isDead: p.isDead,
+            immunityInventory: p.immunityInventory,
+            sinkInventory: p.sinkInventory,
+            energy: p.energy,
+            immunityActive: p.immunityActive,
+            immunityEndTime: p.immunityEndTime,
+            disconnected: p.disconnected,
+            lastProcessedInput: p.lastProcessedInput,
+            stats: statsTracker.getPublicStats(p)
+        }));
+    }
+
+    /**
+     * Client-facing copies of the enemies; AI bookkeeping (goal, path, patrol points) stays on the server
+     */
+    getPublicEnemies(gameState) {
+        return gameState.enemies.map(e => ({
+            id: e.id,
+            x: e.x,
+            y: e.y,
+            width: e.width,
+            height: e.height,
+            speed: e.speed,
+            archetype: e.archetype,
+            behavior: e.behavior,
+            trail: [...e.trail]
+        }));
+    }
+
+    /**
+     * Client-facing copies of the boats still on the water
+     */
+    getPublicBoats(gameState) {
+        return gameState.boats.filter(b => b.state !== BOAT_STATES.SUNK).map(b => ({
+            id: b.id,
+            x: b.x,
+            y: b.y,
+            w: b.w,
+            h: b.h,
+            velX: b.velX,
+            velY: b.velY,
+            route: b.route,
+            state: b.state,
+            life: b.life,
+            maxLife: b.maxLife
+        }));
+    }
+
+    /**
+     * Everything a client needs to render a match from scratch
+     */
+    getFullState(roomCode) {
+        const gameState = this.roomStates.get(roomCode);
+        if (!gameState) return null;
 
         return {
-            id: player.id,
-            name: player.name,
+            map: gameState.map,
+            players: this.getPublicPlayers(gameState),
+            enemies: this.getPublicEnemies(gameState),
+            boats: this.getPublicBoats(gameState),
+            coins: gameState.coins.filter(c => !c.collected),
+            immunityPickups: gameState.immunityPickups.filter(p => !p.collected),
+            sinkCollectibles: gameState.sinkCollectibles.filter(s => !s.collected),
+            deployedSinks: gameState.deployedSinks,
+            portals: gameState.portals,
+            mode: gameState.mode,
+            modeState: getGameMode(gameState.mode).getPublicState(gameState),
+            gameTime: gameState.gameTime
+        };
+    }
+
+    /**
+     * Full state cut down to one player's area of interest, as game_state broadcasts are.
+     * With no focus player (a spectator following nobody) nothing is filtered.
+     */
+    getViewState(roomCode, focusPlayerId) {
+        const fullState = this.getFullState(roomCode);
+        if (!fullState) return null;
+
+        const focus = fullState.players.find(p => p.id === focusPlayerId);
+        return interestManager.filterSnapshot(fullState, focus);
+    }
+
+    /**
+     * Open a portal one second ahead of the player
+     */
+    usePortal(roomCode, playerId) {
+        const gameState = this.roomStates.get(roomCode);
+        if (!gameState) return null;
+
+        const player = gameState.players.find(p => p.id === playerId);
+        if (!player) return null;
+
+        if (player.energy < 1) {
+            return { code: ERROR_CODES.ENERGY_NOT_FULL, error: 'Energy not full' };
+        }
+
+        const spawnDist = player.speed * 1;
+        const portal = {
+            id: this.createEntityId(gameState, 'portal'),
+            x: player.x + player.dirX * spawnDist,
+            y: player.y + player.dirY * spawnDist,
+            color: '#ff00ff',
+            angle: 0,
+            life: 10.0,
+            isPlayerCreated: true
+        };
+
+        gameState.portals.push(portal);
+        player.energy = 0;
+
+        return { portal };
+    }
+
+    /**
+     * Drop a sink trap at the player's position
+     */
+    deploySink(roomCode, playerId) {
+        const gameState = this.roomStates.get(roomCode);
+        if (!gameState) return null;
+
+        const player = gameState.players.find(p => p.id === playerId);
+        if (!player) return null;
+
+        if (player.sinkInventory <= 0) {
+            return { code: ERROR_CODES.NO_SINKS, error: 'No sink traps' };
+        }
+
+        player.sinkInventory--;
+        const sink = {
+            id: this.createEntityId(gameState, 'sink'),
             x: player.x,
             y: player.y,
-            speed: player.speed
+            ownerId: player.id,
+            deployTime: gameState.gameTime
         };
+        gameState.deployedSinks.push(sink);
+
+        return { sink };
+    }
+
+    /**
+     * Spend a stored immunity charge
+     */
+    activateImmunity(roomCode, playerId) {
+        const gameState = this.roomStates.get(roomCode);
+        if (!gameState) return null;
+
+        const player = gameState.players.find(p => p.id === playerId);
+        if (!player) return null;
+
+        if (player.immunityInventory <= 0) {
+            return { code: ERROR_CODES.NO_IMMUNITY, error: 'No immunity stored' };
+        }
+
+        if (player.immunityActive) {
+            return { code: ERROR_CODES.IMMUNITY_ACTIVE, error: 'Immunity already active' };
+        }
+
+        player.immunityInventory--;
+        player.immunityActive = true;
+        player.immunityEndTime = gameState.gameTime + gameState.rules.immunityDuration;
+
+        return { player };
+    }
+
+    /**
+     * Freeze or unfreeze a player whose socket dropped.
+     * A frozen player keeps their position and inventory but is ignored by the simulation.
+     */
+    setPlayerConnected(roomCode, playerId, connected) {
+        const gameState = this.roomStates.get(roomCode);
+        if (!gameState) return null;
+
+        const player = gameState.players.find(p => p.id === playerId);
+        if (!player) return null;
+
+        player.disconnected = !connected;
+        player.velX = 0;
+        player.velY = 0;
+        this.inputBuffers.delete(playerId);
+
+        // A resumed client may have reloaded and restarted its input sequence
+        if (connected) {
+            player.lastProcessedInput = 0;
+        }
+
+        return player;
+    }
+
+    /**
+     * Remove a player who left the room for good
+     */
+    removePlayer(roomCode, playerId) {
+        this.inputBuffers.delete(playerId);
+        this.lastUpdateTime.delete(playerId);
+
+        const gameState = this.roomStates.get(roomCode);
+        if (!gameState) return;
+
+        gameState.players = gameState.players.filter(p => p.id !== playerId);
+    }
+
+    /**
+     * Whether a sequenced input was already applied or is already waiting in the buffer
+     */
+    isDuplicateInput(roomCode, playerId, seq) {
+        const player = this.roomStates.get(roomCode)?.players.find(p => p.id === playerId);
+        if (player && seq <= player.lastProcessedInput) return true;
+
+        return (this.inputBuffers.get(playerId) || []).some(b => b.seq === seq);
     }
 
     /**
@@ -457,31 +830,47 @@ class QbitCityGameStateManager {
         }
         
         const buffer = this.inputBuffers.get(playerId);
+
+        // Sequenced inputs may be resent; keep only one copy of each
+        if (Number.isInteger(input.seq) && buffer.some(b => b.seq === input.seq)) return;
+
         buffer.push({ ...input, timestamp, processed: false });
-        
-        // Keep buffer sorted by timestamp
-        buffer.sort((a, b) => a.timestamp - b.timestamp);
-        
+
+        // Keep buffer sorted by sequence number, or by timestamp for unsequenced inputs
+        buffer.sort((a, b) => (Number.isInteger(a.seq) && Number.isInteger(b.seq))
+            ? a.seq - b.seq
+            : a.timestamp - b.timestamp);
+
         // Limit buffer size
-        if (buffer.length > 60) {
+        if (buffer.length > GAME_CONFIG.INPUT_BUFFER_SIZE) {
             buffer.shift();
         }
     }
 
+    /**
+     * Rank players for the end-of-match summary, as the room's mode sees it
+     */
+    buildStandings(gameState) {
+        return getGameMode(gameState.mode).buildStandings(gameState);
+    }
+
     /**
      * Clean up room state
      */
     cleanupRoom(roomCode) {
-        this.roomStates.delete(roomCode);
-        
+        replayRecorder.stopRecording(roomCode);
+        snapshotManager.resetRoom(roomCode);
+
         // Clean up input buffers for players in this room
-        const room = roomManager.getRoom(roomCode);
-        if (room) {
-            room.players.forEach(player => {
+        const gameState = this.roomStates.get(roomCode);
+        if (gameState) {
+            gameState.players.forEach(player => {
                 this.inputBuffers.delete(player.id);
                 this.lastUpdateTime.delete(player.id);
             });
         }
+
+        this.roomStates.delete(roomCode);
     }
 }
 
@@ -0,0 +1,108 @@
+/**
+ * Replay Recording Service
+ * Captures a room's seed, config, tick timing, inputs and actions into a gzipped replay file
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { gzip } from 'zlib';
+import { GAME_CONFIG, REPLAY_CONFIG, REPLAY_ACTIONS } from '../config/constants.js';
+import { getCustomMap } from './maps/index.js';
+
+const gzipAsync = promisify(gzip);
+
+class ReplayRecorder {
+    constructor() {
+        // Active recordings: roomCode -> Recording
+        this.recordings = new Map();
+    }
+
+    isRecording(roomCode) {
+        return this.recordings.has(roomCode);
+    }
+
+    /**
+     * Begin recording a match that has just been initialized
+     */
+    startRecording(room, gameState) {
+        const startTime = Date.now();
+
+        this.recordings.set(room.code, {
+            version: REPLAY_CONFIG.FORMAT_VERSION,
+            roomCode: room.code,
+            recordedAt: new Date(startTime).toISOString(),
+            seed: gameState.mapSeed,
+            tickRate: GAME_CONFIG.TICK_RATE,
+            room: {
+                maxPlayers: room.maxPlayers,
+                endConditions: room.endConditions,
+                mode: gameState.mode,
+                rules: gameState.rules,
+                mapLayout: gameState.map.layout,
+                mapWidth: gameState.map.gridWidth,
+                mapHeight: gameState.map.gridHeight,
+                // The whole definition, so the replay survives the map file changing
+                customMap: gameState.map.customMap ? getCustomMap(gameState.map.customMap) : null,
+                players: room.players.map(p => ({ id: p.id, name: p.name, connected: p.connected, teamId: p.teamId }))
+            },
+            startTime,
+            lastTickTime: startTime,
+            // Milliseconds since the previous tick, one entry per tick
+            tickTimes: [],
+            // [tick, type, playerId, data] - applied before the given tick runs
+            events: []
+        });
+    }
+
+    recordTick(roomCode, currentTime) {
+        const recording = this.recordings.get(roomCode);
+        if (!recording) return;
+
+        recording.tickTimes.push(currentTime - recording.lastTickTime);
+        recording.lastTickTime = currentTime;
+    }
+
+    recordInput(roomCode, playerId, input, timestamp) {
+        this.recordAction(roomCode, REPLAY_ACTIONS.INPUT, playerId, { input, timestamp });
+    }
+
+    recordAction(roomCode, type, playerId, data = null) {
+        const recording = this.recordings.get(roomCode);
+        if (!recording) return;
+
+        const event = [recording.tickTimes.length, type, playerId];
+        if (data !== null) event.push(data);
+        recording.events.push(event);
+    }
+
+    /**
+     * Finish a recording and write it to disk
+     * @returns {Promise<string|null>} - Path of the written file
+     */
+    async stopRecording(roomCode) {
+        const recording = this.recordings.get(roomCode);
+        if (!recording) return null;
+
+        this.recordings.delete(roomCode);
+
+        const { lastTickTime, ...replay } = recording;
+
+        const fileName = `${roomCode}_${recording.startTime}.json.gz`;
+        const filePath = path.join(REPLAY_CONFIG.DIRECTORY, fileName);
+
+        try {
+            await fs.mkdir(REPLAY_CONFIG.DIRECTORY, { recursive: true });
+            await fs.writeFile(filePath, await gzipAsync(JSON.stringify(replay)));
+            console.log(`Replay saved: ${filePath}`);
+            return filePath;
+        } catch (error) {
+            console.log(`Error saving replay for room ${roomCode}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+// Export singleton instance
+const replayRecorder = new ReplayRecorder();
+export default replayRecorder;
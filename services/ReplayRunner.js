@@ -0,0 +1,115 @@
+/**
+ * Replay Runner Service
+ * Feeds a recorded replay back through the game loop headlessly
+ */
+
+import fs from 'fs/promises';
+import { promisify } from 'util';
+import { gunzip } from 'zlib';
+import { SOCKET_EVENTS, REPLAY_CONFIG, REPLAY_ACTIONS } from '../config/constants.js';
+import qbitCityGameStateManager from './QbitCityGameStateManager.js';
+import snapshotManager from './SnapshotManager.js';
+import QbitCityGameLoop from './QbitCityGameLoop.js';
+
+const gunzipAsync = promisify(gunzip);
+
+/**
+ * Read and decompress a replay file
+ */
+export async function loadReplay(filePath) {
+    const replay = JSON.parse((await gunzipAsync(await fs.readFile(filePath))).toString());
+
+    if (replay.version !== REPLAY_CONFIG.FORMAT_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+
+    return replay;
+}
+
+class ReplayRunner {
+    /**
+     * @param {object} replay - Parsed replay file
+     * @param {function} onEmit - Called with (event, data) for every broadcast the loop makes
+     */
+    constructor(replay, onEmit = () => {}) {
+        this.replay = replay;
+        // Replays run beside live rooms, so keep them out of the live room namespace
+        this.roomCode = `replay:${replay.roomCode}:${replay.startTime}`;
+
+        const io = { to: () => ({ emit: onEmit }) };
+        this.gameLoop = new QbitCityGameLoop(io);
+
+        // There are no clients to hold baselines, so every frame is a full keyframe
+        this.gameLoop.broadcastGameState = (code, gameState, currentTime) => {
+            const snapshot = snapshotManager.numberSnapshot(code, this.gameLoop.buildSnapshot(gameState, currentTime));
+            onEmit(SOCKET_EVENTS.SERVER.GAME_STATE, snapshotManager.toKeyframe(snapshot));
+        };
+    }
+
+    /**
+     * Run every recorded tick and return the final game state
+     */
+    run() {
+        const { replay, roomCode, gameLoop } = this;
+        const deltaTime = 1 / replay.tickRate;
+
+        const gameState = qbitCityGameStateManager.createGameState(roomCode, replay.room, replay.seed, replay.room.customMap || null);
+        qbitCityGameStateManager.roomStates.set(roomCode, gameState);
+
+        let currentTime = replay.startTime;
+        let eventIndex = 0;
+
+        try {
+            for (let tick = 0; tick < replay.tickTimes.length && !gameState.finished; tick++) {
+                while (eventIndex < replay.events.length && replay.events[eventIndex][0] <= tick) {
+                    this.applyEvent(replay.events[eventIndex++]);
+                }
+
+                currentTime += replay.tickTimes[tick];
+                gameLoop.updateRoom(roomCode, deltaTime, currentTime);
+            }
+        } finally {
+            qbitCityGameStateManager.cleanupRoom(roomCode);
+        }
+
+        return gameState;
+    }
+
+    applyEvent([, type, playerId, data]) {
+        const { roomCode } = this;
+
+        switch (type) {
+            case REPLAY_ACTIONS.INPUT:
+                qbitCityGameStateManager.bufferPlayerInput(playerId, data.input, data.timestamp);
+                break;
+            case REPLAY_ACTIONS.PORTAL:
+                qbitCityGameStateManager.usePortal(roomCode, playerId);
+                break;
+            case REPLAY_ACTIONS.SINK:
+                qbitCityGameStateManager.deploySink(roomCode, playerId);
+                break;
+            case REPLAY_ACTIONS.IMMUNITY:
+                qbitCityGameStateManager.activateImmunity(roomCode, playerId);
+                break;
+            case REPLAY_ACTIONS.RESPAWN:
+                qbitCityGameStateManager.respawnPlayer(roomCode, playerId);
+                break;
+            case REPLAY_ACTIONS.JOIN:
+                qbitCityGameStateManager.addLatePlayer(roomCode, { id: playerId, name: data.name, teamId: data.teamId, connected: true });
+                break;
+            case REPLAY_ACTIONS.DISCONNECT:
+                qbitCityGameStateManager.setPlayerConnected(roomCode, playerId, false);
+                break;
+            case REPLAY_ACTIONS.RECONNECT:
+                qbitCityGameStateManager.setPlayerConnected(roomCode, playerId, true);
+                break;
+            case REPLAY_ACTIONS.LEAVE:
+                qbitCityGameStateManager.removePlayer(roomCode, playerId);
+                break;
+            default:
+                console.log(`Unknown replay event: ${type}`);
+        }
+    }
+}
+
+export default ReplayRunner;
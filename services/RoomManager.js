@@ -3,12 +3,34 @@
  * Handles all room-related business logic
  */
 
-import { ROOM_CONFIG, ROOM_STATUS } from '../config/constants.js';
-import { generateRoomCode, generateDefaultPlayerName } from '../utils/roomUtils.js';
+import { ROOM_CONFIG, ROOM_STATUS, ERROR_CODES, GAME_MODES, MAP_CONFIG, CLOCK_SYNC_CONFIG } from '../config/constants.js';
+import {
+    generateRoomCode,
+    generateDefaultPlayerName,
+    generateReconnectToken,
+    normalizeEndConditions,
+    normalizeRules,
+    getSmallestTeamId,
+    getTeamColor
+} from '../utils/roomUtils.js';
+import { getCustomMap } from './maps/index.js';
 
 class RoomManager {
     constructor() {
         this.rooms = new Map(); // roomCode -> room object
+
+        // Players keep the id of the socket they joined with; later sockets are bound to that id
+        this.socketBindings = new Map(); // socketId -> { roomCode, playerId }
+        this.playerSockets = new Map(); // playerId -> socketId
+
+        // Reconnect sessions: token -> { roomCode, playerId }
+        this.sessions = new Map();
+
+        // Grace period timers for disconnected players: playerId -> timeout
+        this.disconnectTimers = new Map();
+
+        // Spectators are never players: socketId -> roomCode
+        this.spectators = new Map();
     }
 
     createRoom(socketId, playerData = {}) {
@@ -20,14 +42,37 @@ class RoomManager {
                 id: socketId,
                 name: playerData?.name || generateDefaultPlayerName(socketId),
                 isHost: true,
-                coins: 0
+                coins: 0,
+                connected: true,
+                rtt: null,
+                teamId: null,
+                teamColor: null
             }],
+            spectators: [], // { id, name, following }
             status: ROOM_STATUS.WAITING,
             createdAt: Date.now(),
-            maxPlayers: playerData?.maxPlayers || ROOM_CONFIG.DEFAULT_MAX_PLAYERS
+            maxPlayers: playerData?.maxPlayers || ROOM_CONFIG.DEFAULT_MAX_PLAYERS,
+            endConditions: normalizeEndConditions(playerData?.endConditions),
+            recordReplay: playerData?.recordReplay === true,
+            // Let players drop into a match already in progress
+            allowLateJoin: playerData?.allowLateJoin === true,
+            // Public rooms are listed in the room browser and filled by quick play
+            isPublic: playerData?.isPublic === true,
+            mode: playerData?.mode || GAME_MODES.SURVIVAL,
+            rules: normalizeRules(playerData?.rules),
+            mapLayout: playerData?.mapLayout || MAP_CONFIG.DEFAULT_LAYOUT,
+            // null picks a new seed every match
+            mapSeed: playerData?.mapSeed ?? null,
+            // Generated map size in tiles; custom maps bring their own
+            mapWidth: playerData?.mapWidth || MAP_CONFIG.WIDTH,
+            mapHeight: playerData?.mapHeight || MAP_CONFIG.HEIGHT,
+            // Hand-made map id; takes the place of the generated layout when set
+            customMap: null
         };
 
+        this.syncTeams(room);
         this.rooms.set(roomCode, room);
+        this.bindSocket(socketId, roomCode, socketId);
         return room;
     }
 
@@ -39,35 +84,179 @@ class RoomManager {
         return Array.from(this.rooms.values());
     }
 
+    /**
+     * Public rooms a new player could join right now, fullest first
+     */
+    listPublicRooms() {
+        return this.getAllRooms()
+            .filter(room => room.isPublic && room.players.length < room.maxPlayers)
+            .filter(room => room.status === ROOM_STATUS.WAITING ||
+                (room.status === ROOM_STATUS.PLAYING && room.allowLateJoin))
+            .sort((a, b) => (b.players.length - a.players.length) || (a.createdAt - b.createdAt))
+            .map(room => ({
+                code: room.code,
+                hostName: room.players.find(p => p.isHost)?.name || null,
+                playerCount: room.players.length,
+                maxPlayers: room.maxPlayers,
+                spectatorCount: room.spectators.length,
+                status: room.status,
+                allowLateJoin: room.allowLateJoin,
+                mode: room.mode,
+                mapLayout: room.mapLayout,
+                mapWidth: room.mapWidth,
+                mapHeight: room.mapHeight,
+                customMap: room.customMap,
+                endConditions: room.endConditions
+            }));
+    }
+
     getRoomCodeForSocket(socketId) {
-        for (const [code, room] of this.rooms.entries()) {
-            if (room.hostId === socketId || room.players.some(p => p.id === socketId)) {
-                return code;
+        return this.socketBindings.get(socketId)?.roomCode || null;
+    }
+
+    getPlayerIdForSocket(socketId) {
+        return this.socketBindings.get(socketId)?.playerId || null;
+    }
+
+    getSocketIdForPlayer(playerId) {
+        return this.playerSockets.get(playerId) || null;
+    }
+
+    bindSocket(socketId, roomCode, playerId) {
+        this.socketBindings.set(socketId, { roomCode, playerId });
+        this.playerSockets.set(playerId, socketId);
+    }
+
+    unbindSocket(socketId) {
+        const binding = this.socketBindings.get(socketId);
+        if (!binding) return;
+
+        this.socketBindings.delete(socketId);
+        if (this.playerSockets.get(binding.playerId) === socketId) {
+            this.playerSockets.delete(binding.playerId);
+        }
+    }
+
+    /**
+     * Record a player's measured round-trip time in ms
+     * @returns {object|null} - The player if the change is big enough to report, otherwise null
+     */
+    setPlayerLatency(roomCode, playerId, rtt) {
+        const room = this.rooms.get(roomCode);
+        const player = room?.players.find(p => p.id === playerId);
+        if (!player) return null;
+
+        const rounded = Math.round(rtt);
+        if (player.rtt !== null && Math.abs(rounded - player.rtt) < CLOCK_SYNC_CONFIG.LATENCY_REPORT_THRESHOLD) {
+            return null;
+        }
+
+        player.rtt = rounded;
+        return player;
+    }
+
+    /**
+     * Issue a reconnect token for a player, replacing any previous one
+     */
+    issueReconnectToken(roomCode, playerId) {
+        this.revokeReconnectToken(playerId);
+
+        const token = generateReconnectToken();
+        this.sessions.set(token, { roomCode, playerId });
+        return token;
+    }
+
+    revokeReconnectToken(playerId) {
+        for (const [token, session] of this.sessions.entries()) {
+            if (session.playerId === playerId) {
+                this.sessions.delete(token);
             }
         }
-        return null;
+    }
+
+    /**
+     * Keep a player's seat after their socket drops.
+     * onExpire runs if they have not resumed within the grace period.
+     */
+    markPlayerDisconnected(socketId, onExpire) {
+        const binding = this.socketBindings.get(socketId);
+        if (!binding) return null;
+
+        this.unbindSocket(socketId);
+
+        const room = this.rooms.get(binding.roomCode);
+        const player = room?.players.find(p => p.id === binding.playerId);
+        if (!player) return null;
+
+        player.connected = false;
+        clearTimeout(this.disconnectTimers.get(player.id));
+        this.disconnectTimers.set(player.id, setTimeout(() => {
+            this.disconnectTimers.delete(player.id);
+            onExpire(binding.roomCode, player.id);
+        }, ROOM_CONFIG.RECONNECT_GRACE_PERIOD));
+
+        return { roomCode: binding.roomCode, playerId: player.id, room };
+    }
+
+    /**
+     * Rebind a new socket to the player owning a reconnect token
+     */
+    resumeSession(token, socketId) {
+        const session = this.sessions.get(token);
+        if (!session) {
+            return { valid: false, code: ERROR_CODES.SESSION_EXPIRED, error: 'Session expired' };
+        }
+
+        const room = this.rooms.get(session.roomCode);
+        const player = room?.players.find(p => p.id === session.playerId);
+        if (!player) {
+            this.sessions.delete(token);
+            return { valid: false, code: ERROR_CODES.SESSION_EXPIRED, error: 'Session expired' };
+        }
+
+        clearTimeout(this.disconnectTimers.get(player.id));
+        this.disconnectTimers.delete(player.id);
+
+        // The old socket may not have noticed it is gone yet
+        const previousSocketId = this.playerSockets.get(player.id) || null;
+        if (previousSocketId) {
+            this.unbindSocket(previousSocketId);
+        }
+
+        this.bindSocket(socketId, room.code, player.id);
+        player.connected = true;
+
+        return { valid: true, code: null, error: null, room, player, previousSocketId };
     }
 
     validateJoinRoom(roomCode, socketId) {
         if (!this.rooms.has(roomCode)) {
-            return { valid: false, error: 'Room not found' };
+            return { valid: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
         }
 
         const room = this.rooms.get(roomCode);
 
         if (room.players.length >= room.maxPlayers) {
-            return { valid: false, error: 'Room is full' };
+            return { valid: false, code: ERROR_CODES.ROOM_FULL, error: 'Room is full' };
         }
 
-        if (room.status === ROOM_STATUS.PLAYING) {
-            return { valid: false, error: 'Game already in progress' };
+        if (room.status === ROOM_STATUS.PLAYING && !room.allowLateJoin) {
+            return { valid: false, code: ERROR_CODES.GAME_IN_PROGRESS, error: 'Game already in progress' };
+        }
+
+        if (room.status === ROOM_STATUS.FINISHED) {
+            return { valid: false, code: ERROR_CODES.MATCH_FINISHED, error: 'Match has finished' };
         }
 
-        if (room.players.some(p => p.id === socketId)) {
-            return { valid: false, error: 'Already in this room' };
+        if (this.getRoomCodeForSocket(socketId) === roomCode) {
+            return { valid: false, code: ERROR_CODES.ALREADY_IN_ROOM, error: 'Already in this room' };
         }
 
-        return { valid: true, error: null };
+        if (this.spectators.has(socketId)) {
+            return { valid: false, code: ERROR_CODES.ALREADY_IN_ROOM, error: 'Stop spectating before joining' };
+        }
+
+        return { valid: true, code: null, error: null };
     }
 
     addPlayerToRoom(roomCode, socketId, playerName) {
@@ -78,20 +267,34 @@ class RoomManager {
             id: socketId,
             name: playerName || generateDefaultPlayerName(socketId),
             isHost: false,
-            coins: 0
+            coins: 0,
+            connected: true,
+            rtt: null,
+            teamId: null,
+            teamColor: null
         };
 
         room.players.push(player);
+        this.syncTeams(room);
+        this.bindSocket(socketId, roomCode, socketId);
         return player;
     }
 
-    removePlayerFromRoom(roomCode, socketId) {
+    removePlayerFromRoom(roomCode, playerId) {
         const room = this.rooms.get(roomCode);
         if (!room) return null;
 
-        const playerIndex = room.players.findIndex(p => p.id === socketId);
+        const playerIndex = room.players.findIndex(p => p.id === playerId);
         if (playerIndex === -1) return null;
 
+        const socketId = this.playerSockets.get(playerId);
+        if (socketId) {
+            this.unbindSocket(socketId);
+        }
+        this.revokeReconnectToken(playerId);
+        clearTimeout(this.disconnectTimers.get(playerId));
+        this.disconnectTimers.delete(playerId);
+
         const wasHost = room.players[playerIndex].isHost;
         room.players.splice(playerIndex, 1);
 
@@ -99,12 +302,15 @@ class RoomManager {
         let newHostId = null;
 
         if (wasHost && room.players.length > 0) {
-            room.players[0].isHost = true;
-            room.hostId = room.players[0].id;
-            newHostId = room.players[0].id;
+            // Prefer a player who is still connected
+            const newHost = room.players.find(p => p.connected) || room.players[0];
+            newHost.isHost = true;
+            room.hostId = newHost.id;
+            newHostId = newHost.id;
         }
 
         if (room.players.length === 0) {
+            room.spectators.forEach(spectator => this.spectators.delete(spectator.id));
             this.rooms.delete(roomCode);
             roomDeleted = true;
         }
@@ -117,25 +323,118 @@ class RoomManager {
         };
     }
 
-    validateStartGame(roomCode, socketId) {
+    getSpectatedRoomCode(socketId) {
+        return this.spectators.get(socketId) || null;
+    }
+
+    getSpectator(socketId) {
+        const room = this.rooms.get(this.spectators.get(socketId));
+        return room?.spectators.find(s => s.id === socketId) || null;
+    }
+
+    /**
+     * Room whose game state a socket receives, as a player or a spectator
+     */
+    getViewedRoomCode(socketId) {
+        return this.getRoomCodeForSocket(socketId) || this.getSpectatedRoomCode(socketId);
+    }
+
+    /**
+     * Player whose surroundings a socket sees: its own player, or the one a spectator follows
+     */
+    getFocusPlayerId(socketId) {
+        return this.getPlayerIdForSocket(socketId) || this.getSpectator(socketId)?.following || null;
+    }
+
+    validateSpectateRoom(roomCode, socketId) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            return { valid: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+        }
+
+        if (this.getRoomCodeForSocket(socketId) || this.spectators.has(socketId)) {
+            return { valid: false, code: ERROR_CODES.ALREADY_IN_ROOM, error: 'Leave your current room first' };
+        }
+
+        if (room.spectators.length >= ROOM_CONFIG.MAX_SPECTATORS) {
+            return { valid: false, code: ERROR_CODES.SPECTATORS_FULL, error: 'Too many spectators' };
+        }
+
+        return { valid: true, code: null, error: null };
+    }
+
+    addSpectator(roomCode, socketId, name) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+
+        const spectator = {
+            id: socketId,
+            name: name || generateDefaultPlayerName(socketId),
+            following: null
+        };
+
+        room.spectators.push(spectator);
+        this.spectators.set(socketId, roomCode);
+        return spectator;
+    }
+
+    /**
+     * Point a spectator's camera at a player, or at nobody for the whole map
+     */
+    setSpectatorFollow(socketId, playerId) {
+        const spectator = this.getSpectator(socketId);
+        if (!spectator) {
+            return { valid: false, code: ERROR_CODES.NOT_SPECTATING, error: 'Not spectating any room' };
+        }
+
+        const room = this.rooms.get(this.spectators.get(socketId));
+        if (playerId !== null && !room.players.some(p => p.id === playerId)) {
+            return { valid: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
+        }
+
+        spectator.following = playerId;
+        return { valid: true, code: null, error: null, spectator };
+    }
+
+    removeSpectator(socketId) {
+        const roomCode = this.spectators.get(socketId);
+        if (!roomCode) return null;
+
+        this.spectators.delete(socketId);
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+
+        room.spectators = room.spectators.filter(s => s.id !== socketId);
+        return { roomCode, room };
+    }
+
+    validateStartGame(roomCode, playerId) {
         const room = this.rooms.get(roomCode);
         if (!room) {
-            return { valid: false, error: 'Room not found' };
+            return { valid: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
         }
 
-        if (room.hostId !== socketId) {
-            return { valid: false, error: 'Only host can start the game' };
+        if (room.hostId !== playerId) {
+            return { valid: false, code: ERROR_CODES.NOT_HOST, error: 'Only host can start the game' };
         }
 
         if (room.status === ROOM_STATUS.PLAYING) {
-            return { valid: false, error: 'Game already started' };
+            return { valid: false, code: ERROR_CODES.GAME_IN_PROGRESS, error: 'Game already started' };
+        }
+
+        if (room.status === ROOM_STATUS.FINISHED) {
+            return { valid: false, code: ERROR_CODES.MATCH_FINISHED, error: 'Return to lobby before starting a rematch' };
         }
 
         if (room.players.length < ROOM_CONFIG.MIN_PLAYERS_TO_START) {
-            return { valid: false, error: `Need at least ${ROOM_CONFIG.MIN_PLAYERS_TO_START} player(s) to start` };
+            return { valid: false, code: ERROR_CODES.NOT_ENOUGH_PLAYERS, error: `Need at least ${ROOM_CONFIG.MIN_PLAYERS_TO_START} player(s) to start` };
+        }
+
+        if (room.customMap && !getCustomMap(room.customMap)) {
+            return { valid: false, code: ERROR_CODES.MAP_NOT_FOUND, error: `Map ${room.customMap} is no longer available` };
         }
 
-        return { valid: true, error: null };
+        return { valid: true, code: null, error: null };
     }
 
     startGame(roomCode) {
@@ -145,6 +444,162 @@ class RoomManager {
         room.status = ROOM_STATUS.PLAYING;
         return room;
     }
+
+    /**
+     * Mark the match over and bank each player's coins into their running room total
+     * @param {Array} playerStats - Per-player { playerId, coins } from the stats tracker
+     */
+    finishGame(roomCode, playerStats = []) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+
+        playerStats.forEach(({ playerId, coins }) => {
+            const player = room.players.find(p => p.id === playerId);
+            if (player) player.coins += coins;
+        });
+
+        room.status = ROOM_STATUS.FINISHED;
+        return room;
+    }
+
+    validateUpdateSettings(roomCode, playerId, settings) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            return { valid: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+        }
+
+        if (room.hostId !== playerId) {
+            return { valid: false, code: ERROR_CODES.NOT_HOST, error: 'Only host can change room settings' };
+        }
+
+        if (room.status !== ROOM_STATUS.WAITING) {
+            return { valid: false, code: ERROR_CODES.GAME_IN_PROGRESS, error: 'Settings can only be changed in the lobby' };
+        }
+
+        if (settings.maxPlayers !== undefined && settings.maxPlayers < room.players.length) {
+            return { valid: false, code: ERROR_CODES.INVALID_SETTINGS, error: 'maxPlayers is below the current player count' };
+        }
+
+        if (settings.customMap && !getCustomMap(settings.customMap)) {
+            return { valid: false, code: ERROR_CODES.MAP_NOT_FOUND, error: `Unknown map: ${settings.customMap}` };
+        }
+
+        return { valid: true, code: null, error: null };
+    }
+
+    /**
+     * Apply host changes to room settings; omitted fields keep their current value
+     */
+    updateSettings(roomCode, settings) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+
+        if (settings.maxPlayers !== undefined) room.maxPlayers = settings.maxPlayers;
+        if (settings.recordReplay !== undefined) room.recordReplay = settings.recordReplay;
+        if (settings.allowLateJoin !== undefined) room.allowLateJoin = settings.allowLateJoin;
+        if (settings.isPublic !== undefined) room.isPublic = settings.isPublic;
+        if (settings.mode !== undefined) {
+            room.mode = settings.mode;
+            this.syncTeams(room);
+        }
+        if (settings.mapLayout !== undefined) room.mapLayout = settings.mapLayout;
+        if (settings.mapSeed !== undefined) room.mapSeed = settings.mapSeed;
+        if (settings.mapWidth !== undefined) room.mapWidth = settings.mapWidth;
+        if (settings.mapHeight !== undefined) room.mapHeight = settings.mapHeight;
+        if (settings.customMap !== undefined) room.customMap = settings.customMap;
+        if (settings.endConditions !== undefined) {
+            room.endConditions = normalizeEndConditions({ ...room.endConditions, ...settings.endConditions });
+        }
+        if (settings.rules !== undefined) {
+            room.rules = normalizeRules(settings.rules, room.rules);
+        }
+
+        return room;
+    }
+
+    setPlayerTeam(player, teamId) {
+        player.teamId = teamId;
+        player.teamColor = getTeamColor(teamId);
+    }
+
+    /**
+     * Teams only exist in team mode: auto-balance anyone without a team, or clear teams in other modes
+     */
+    syncTeams(room) {
+        room.players.forEach(player => {
+            if (room.mode !== GAME_MODES.TEAMS) {
+                this.setPlayerTeam(player, null);
+            } else if (!player.teamId) {
+                this.setPlayerTeam(player, getSmallestTeamId(room.players));
+            }
+        });
+    }
+
+    validateSelectTeam(roomCode, playerId, targetId) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            return { valid: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+        }
+
+        if (room.mode !== GAME_MODES.TEAMS) {
+            return { valid: false, code: ERROR_CODES.NOT_TEAM_MODE, error: 'Room is not in team mode' };
+        }
+
+        if (room.status !== ROOM_STATUS.WAITING) {
+            return { valid: false, code: ERROR_CODES.GAME_IN_PROGRESS, error: 'Teams can only be changed in the lobby' };
+        }
+
+        if (targetId !== playerId && room.hostId !== playerId) {
+            return { valid: false, code: ERROR_CODES.NOT_HOST, error: 'Only host can move other players' };
+        }
+
+        if (!room.players.some(p => p.id === targetId)) {
+            return { valid: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
+        }
+
+        return { valid: true, code: null, error: null };
+    }
+
+    /**
+     * Put a player on a team, or on the smallest other team when teamId is null
+     */
+    selectTeam(roomCode, targetId, teamId) {
+        const room = this.rooms.get(roomCode);
+        const player = room?.players.find(p => p.id === targetId);
+        if (!player) return null;
+
+        const others = room.players.filter(p => p !== player);
+        this.setPlayerTeam(player, teamId || getSmallestTeamId(others));
+        return room;
+    }
+
+    validateReturnToLobby(roomCode, playerId) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            return { valid: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+        }
+
+        if (room.hostId !== playerId) {
+            return { valid: false, code: ERROR_CODES.NOT_HOST, error: 'Only host can return to lobby' };
+        }
+
+        if (room.status !== ROOM_STATUS.FINISHED) {
+            return { valid: false, code: ERROR_CODES.MATCH_NOT_FINISHED, error: 'Match has not finished' };
+        }
+
+        return { valid: true, code: null, error: null };
+    }
+
+    /**
+     * Put a finished room back into the lobby, keeping its code and players
+     */
+    returnToLobby(roomCode) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+
+        room.status = ROOM_STATUS.WAITING;
+        return room;
+    }
 }
 
 // Export singleton instance
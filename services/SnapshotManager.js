@@ -0,0 +1,195 @@
+/**
+ * Snapshot Management Service
+ * Numbers game_state snapshots and encodes them as deltas against each client's acknowledged baseline
+ */
+
+import { SNAPSHOT_CONFIG } from '../config/constants.js';
+
+// Entity collections in a snapshot, each an array of objects with an `id`
+const ENTITY_COLLECTIONS = [
+    'players',
+    'enemies',
+    'boats',
+    'coins',
+    'immunityPickups',
+    'sinkCollectibles',
+    'deployedSinks',
+    'portals',
+    'hazards'
+];
+
+function valuesEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Trails are sliding windows of positions, so usually only a few points are new.
+ * Returns the points appended since the baseline, or null if the trail must be resent.
+ * Clients rebuild the trail as baseline.concat(trailAppend).slice(-trailLength).
+ */
+function diffTrail(current, baseline) {
+    if (!Array.isArray(current) || !Array.isArray(baseline)) return null;
+
+    // Longest prefix of the current trail that is a suffix of the baseline
+    for (let overlap = Math.min(current.length, baseline.length); overlap > 0; overlap--) {
+        const offset = baseline.length - overlap;
+        let matches = true;
+        for (let i = 0; i < overlap && matches; i++) {
+            matches = current[i].x === baseline[offset + i].x && current[i].y === baseline[offset + i].y;
+        }
+        if (matches) return current.slice(overlap);
+    }
+    return null;
+}
+
+/**
+ * Fields of an entity that changed since the baseline, or null if none did
+ */
+function diffEntity(current, baseline) {
+    const changes = {};
+    let changed = false;
+
+    for (const key of Object.keys(current)) {
+        if (valuesEqual(current[key], baseline[key])) continue;
+
+        if (key === 'trail') {
+            const appended = diffTrail(current.trail, baseline.trail);
+            if (appended) {
+                changes.trailAppend = appended;
+                changes.trailLength = current.trail.length;
+                changed = true;
+                continue;
+            }
+        }
+
+        changes[key] = current[key];
+        changed = true;
+    }
+
+    return changed ? changes : null;
+}
+
+function diffCollection(current, baseline) {
+    const baselineById = new Map(baseline.map(entity => [entity.id, entity]));
+    const upsert = [];
+
+    current.forEach(entity => {
+        const previous = baselineById.get(entity.id);
+        baselineById.delete(entity.id);
+
+        if (!previous) {
+            upsert.push(entity);
+            return;
+        }
+
+        const changes = diffEntity(entity, previous);
+        if (changes) upsert.push({ id: entity.id, ...changes });
+    });
+
+    const removed = Array.from(baselineById.keys());
+    if (upsert.length === 0 && removed.length === 0) return null;
+    return { upsert, removed };
+}
+
+class SnapshotManager {
+    constructor() {
+        // Per-room snapshot state: roomCode -> { seq, clients: Map<socketId, ClientRecord> }
+        // Clients see different slices of the world, so each keeps its own baseline history
+        this.rooms = new Map();
+    }
+
+    getRoomRecord(roomCode) {
+        if (!this.rooms.has(roomCode)) {
+            this.rooms.set(roomCode, { seq: 0, clients: new Map() });
+        }
+        return this.rooms.get(roomCode);
+    }
+
+    getClientRecord(roomCode, socketId) {
+        const record = this.getRoomRecord(roomCode);
+        if (!record.clients.has(socketId)) {
+            record.clients.set(socketId, { history: new Map(), ack: null });
+        }
+        return record.clients.get(socketId);
+    }
+
+    /**
+     * Give a new snapshot the room's next sequence number
+     */
+    numberSnapshot(roomCode, snapshot) {
+        const record = this.getRoomRecord(roomCode);
+        record.seq++;
+        return { seq: record.seq, ...snapshot };
+    }
+
+    /**
+     * Record that a client has applied a snapshot
+     */
+    acknowledge(roomCode, socketId, seq) {
+        const client = this.rooms.get(roomCode)?.clients.get(socketId);
+        if (!client || !client.history.has(seq)) return;
+
+        if (client.ack === null || seq > client.ack || !client.history.has(client.ack)) {
+            client.ack = seq;
+        }
+    }
+
+    toKeyframe(snapshot) {
+        return { ...snapshot, keyframe: true };
+    }
+
+    /**
+     * Encode a client's view of a snapshot: a delta if its acknowledged baseline
+     * is still in history, else a keyframe
+     */
+    encodeFor(roomCode, socketId, snapshot) {
+        const client = this.getClientRecord(roomCode, socketId);
+        const baseline = client.ack !== null ? client.history.get(client.ack) : null;
+
+        client.history.set(snapshot.seq, snapshot);
+        // Map keeps insertion order, so the first key is the oldest snapshot
+        while (client.history.size > SNAPSHOT_CONFIG.HISTORY_SIZE) {
+            client.history.delete(client.history.keys().next().value);
+        }
+
+        if (!baseline || baseline.seq >= snapshot.seq) {
+            return this.toKeyframe(snapshot);
+        }
+        return this.encodeDelta(snapshot, baseline);
+    }
+
+    encodeDelta(snapshot, baseline) {
+        const delta = {
+            seq: snapshot.seq,
+            baseline: baseline.seq,
+            keyframe: false
+        };
+
+        for (const key of Object.keys(snapshot)) {
+            if (key === 'seq') continue;
+
+            if (ENTITY_COLLECTIONS.includes(key)) {
+                const changes = diffCollection(snapshot[key], baseline[key] || []);
+                if (changes) delta[key] = changes;
+            } else if (!valuesEqual(snapshot[key], baseline[key])) {
+                delta[key] = snapshot[key];
+            }
+        }
+
+        return delta;
+    }
+
+    removeClient(socketId) {
+        this.rooms.forEach(record => record.clients.delete(socketId));
+    }
+
+    resetRoom(roomCode) {
+        this.rooms.delete(roomCode);
+    }
+}
+
+// Export singleton instance
+const snapshotManager = new SnapshotManager();
+export default snapshotManager;
@@ -0,0 +1,69 @@
+/**
+ * Stats Tracking Service
+ * Per-player match statistics, fed by the game loop's collision and action paths.
+ * Stats live on each in-game player, so a replayed match rebuilds exactly the same numbers.
+ */
+
+// Stats where the highest value earns a spot in the match summary's leaders
+const LEADER_STATS = ['coins', 'survivalTime', 'enemiesTrapped', 'portalUses'];
+
+class StatsTracker {
+    /**
+     * Zeroed stats for a new in-game player
+     */
+    createStats() {
+        return {
+            coins: 0,          // every coin picked up, never spent or lost
+            survivalTime: 0,   // seconds alive while connected, across all lives
+            deaths: 0,
+            enemiesTrapped: 0, // enemies caught by this player's sinks
+            portalUses: 0      // trips through any portal
+        };
+    }
+
+    record(player, stat, amount = 1) {
+        if (!player?.stats) return;
+        player.stats[stat] += amount;
+    }
+
+    /**
+     * Accumulate time alive for every living, connected player
+     */
+    update(gameState, deltaTime) {
+        gameState.players.forEach(player => {
+            if (player.isDead || player.disconnected) return;
+            this.record(player, 'survivalTime', deltaTime);
+        });
+    }
+
+    /**
+     * Stats as sent to clients; survival time is rounded so delta snapshots stay small
+     */
+    getPublicStats(player) {
+        const stats = player.stats || this.createStats();
+        return { ...stats, survivalTime: Math.round(stats.survivalTime * 10) / 10 };
+    }
+
+    /**
+     * End-of-match breakdown: every player's stats plus the leader in each category
+     */
+    buildSummary(gameState) {
+        const players = gameState.players.map(p => ({
+            playerId: p.id,
+            name: p.name,
+            ...this.getPublicStats(p)
+        }));
+
+        const leaders = {};
+        LEADER_STATS.forEach(stat => {
+            const best = players.reduce((top, entry) => (!top || entry[stat] > top[stat]) ? entry : top, null);
+            leaders[stat] = best && best[stat] > 0 ? best.playerId : null;
+        });
+
+        return { players, leaders };
+    }
+}
+
+// Export singleton instance
+const statsTracker = new StatsTracker();
+export default statsTracker;
@@ -0,0 +1,72 @@
+/**
+ * Coin Rush: a timed scramble for coins. Deaths cost coins instead of ending your match,
+ * and the richest player when time runs out wins.
+ */
+
+import { GAME_MODES, GAME_MODE_CONFIG } from '../../config/constants.js';
+import GameMode from './GameMode.js';
+
+const { DEFAULT_TIME_LIMIT, RESPAWN_DELAY, COIN_LOSS_ON_DEATH, MIN_COINS_ON_MAP } = GAME_MODE_CONFIG.COIN_RUSH;
+
+export default class CoinRushMode extends GameMode {
+    constructor() {
+        super({
+            id: GAME_MODES.COIN_RUSH,
+            name: 'Coin Rush',
+            description: 'Grab the most coins before time runs out'
+        });
+    }
+
+    setup(gameState) {
+        // Always timed; nobody is ever eliminated
+        gameState.endConditions.timeLimit ??= DEFAULT_TIME_LIMIT;
+        gameState.endConditions.lastPlayerAlive = false;
+    }
+
+    handleSpawning(gameState, deltaTime, loop) {
+        super.handleSpawning(gameState, deltaTime, loop);
+
+        // Keep the map stocked so there is always something to race for
+        const missing = MIN_COINS_ON_MAP - gameState.coins.filter(c => !c.collected).length;
+        for (let i = 0; i < missing; i++) {
+            loop.spawnCoin(gameState);
+        }
+    }
+
+    onPlayerDeath(gameState, player) {
+        player.totalCoins -= Math.floor(player.totalCoins * COIN_LOSS_ON_DEATH);
+        player.respawnAt = gameState.gameTime + RESPAWN_DELAY;
+    }
+
+    update(gameState, deltaTime, loop) {
+        gameState.players.forEach(player => {
+            if (player.isDead && player.respawnAt !== undefined && gameState.gameTime >= player.respawnAt) {
+                delete player.respawnAt;
+                loop.respawnPlayer(gameState, player);
+            }
+        });
+    }
+
+    // Respawns are automatic
+    canRespawn() {
+        return false;
+    }
+
+    buildStandings(gameState) {
+        return gameState.players
+            .map(p => ({
+                playerId: p.id,
+                name: p.name,
+                alive: !p.isDead,
+                coins: p.totalCoins
+            }))
+            .sort((a, b) => (b.coins - a.coins) || (b.alive - a.alive))
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    getPublicState(gameState) {
+        return {
+            timeRemaining: Math.max(0, gameState.endConditions.timeLimit - gameState.gameTime)
+        };
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Game Mode base class
+ * The game loop delegates spawning, scoring, death handling and end conditions to a room's mode.
+ * Modes keep no state of their own: anything per-match lives on gameState,
+ * so one instance serves every room and replays stay deterministic.
+ */
+
+import { MATCH_END_REASONS } from '../../config/constants.js';
+
+export default class GameMode {
+    constructor({ id, name, description }) {
+        this.id = id;
+        this.name = name;
+        this.description = description;
+    }
+
+    /**
+     * Prepare mode-specific state once players have spawned
+     */
+    setup(gameState) {}
+
+    /**
+     * A player dropped into a running match
+     */
+    onPlayerJoin(gameState, player) {}
+
+    /**
+     * Spawn enemies and collectibles for this tick
+     */
+    handleSpawning(gameState, deltaTime, loop) {
+        loop.handleSpawning(gameState, deltaTime);
+    }
+
+    /**
+     * Score a collected coin
+     */
+    onCoinCollected(gameState, player) {
+        player.totalCoins++;
+    }
+
+    /**
+     * A player has just died; they are already marked dead
+     */
+    onPlayerDeath(gameState, player, loop) {}
+
+    /**
+     * Per-tick mode logic, after collisions
+     */
+    update(gameState, deltaTime, loop) {}
+
+    /**
+     * Whether a dead player may ask to respawn
+     */
+    canRespawn(gameState, player) {
+        return !gameState.endConditions.lastPlayerAlive;
+    }
+
+    /**
+     * @returns {string|null} - A MATCH_END_REASONS value once the match is over
+     */
+    checkEndConditions(gameState) {
+        const { timeLimit, lastPlayerAlive, coinTarget } = gameState.endConditions;
+
+        if (lastPlayerAlive && gameState.players.length > 0) {
+            const alive = gameState.players.filter(p => !p.isDead).length;
+            // Solo matches run until the player dies
+            const threshold = gameState.players.length > 1 ? 1 : 0;
+            if (alive <= threshold) return MATCH_END_REASONS.LAST_PLAYER_ALIVE;
+        }
+
+        if (coinTarget && gameState.players.some(p => p.totalCoins >= coinTarget)) {
+            return MATCH_END_REASONS.COIN_TARGET;
+        }
+
+        if (timeLimit && gameState.gameTime >= timeLimit) {
+            return MATCH_END_REASONS.TIME_LIMIT;
+        }
+
+        return null;
+    }
+
+    /**
+     * Rank players for the end-of-match summary.
+     * Survivors first, then by coins collected, then by time survived.
+     */
+    buildStandings(gameState) {
+        return gameState.players
+            .map(p => ({
+                playerId: p.id,
+                name: p.name,
+                alive: !p.isDead,
+                coins: p.totalCoins,
+                survivalTime: p.isDead ? p.deathTime : gameState.gameTime
+            }))
+            .sort((a, b) =>
+                (b.alive - a.alive) ||
+                (b.coins - a.coins) ||
+                (b.survivalTime - a.survivalTime)
+            )
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    /**
+     * Mode-specific state clients need each tick, sent as game_state.modeState
+     */
+    getPublicState(gameState) {
+        return null;
+    }
+
+    /**
+     * Extra game_over fields beyond the player standings
+     */
+    buildSummary(gameState) {
+        return {};
+    }
+}
@@ -0,0 +1,16 @@
+/**
+ * Survival: the original Qbit City mode. Stay alive, collect coins, outlast the enemies.
+ */
+
+import { GAME_MODES } from '../../config/constants.js';
+import GameMode from './GameMode.js';
+
+export default class SurvivalMode extends GameMode {
+    constructor() {
+        super({
+            id: GAME_MODES.SURVIVAL,
+            name: 'Survival',
+            description: 'Outlast the enemies while collecting coins'
+        });
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Teams: players split into teams that pool their coins. Downed players stay down until
+ * a team-mate revives them, and the match ends when a whole team has been wiped out.
+ */
+
+import { GAME_MODES, GAME_MODE_CONFIG, MATCH_END_REASONS, SOCKET_EVENTS } from '../../config/constants.js';
+import { getSmallestTeamId, getTeamColor } from '../../utils/roomUtils.js';
+import GameMode from './GameMode.js';
+
+const { TEAMS, REVIVE_RADIUS, REVIVE_TIME, REVIVE_IMMUNITY } = GAME_MODE_CONFIG.TEAMS;
+
+export default class TeamMode extends GameMode {
+    constructor() {
+        super({
+            id: GAME_MODES.TEAMS,
+            name: 'Teams',
+            description: 'Pool coins with your team, revive team-mates and be the last team standing'
+        });
+    }
+
+    setup(gameState) {
+        gameState.teams = TEAMS.map(({ id, color }) => ({ id, color, score: 0 }));
+
+        // Keep lobby picks and balance everyone else
+        gameState.players.forEach(player => {
+            if (!getTeamColor(player.teamId)) player.teamId = null;
+        });
+        gameState.players.forEach(player => this.assignTeam(gameState, player));
+    }
+
+    onPlayerJoin(gameState, player) {
+        this.assignTeam(gameState, player);
+    }
+
+    assignTeam(gameState, player) {
+        if (!getTeamColor(player.teamId)) {
+            player.teamId = getSmallestTeamId(gameState.players);
+        }
+        player.teamColor = getTeamColor(player.teamId);
+        player.reviveProgress = 0;
+    }
+
+    getTeam(gameState, teamId) {
+        return gameState.teams.find(team => team.id === teamId) || null;
+    }
+
+    onCoinCollected(gameState, player) {
+        player.totalCoins++;
+        const team = this.getTeam(gameState, player.teamId);
+        if (team) team.score++;
+    }
+
+    /**
+     * Downed players come back when a living team-mate stays next to them for REVIVE_TIME seconds
+     */
+    update(gameState, deltaTime, loop) {
+        gameState.players.forEach(player => {
+            if (!player.isDead) return;
+
+            const reviver = gameState.players.find(p =>
+                p.teamId === player.teamId &&
+                !p.isDead &&
+                !p.disconnected &&
+                Math.hypot(p.x - player.x, p.y - player.y) <= REVIVE_RADIUS
+            );
+
+            if (!reviver) {
+                player.reviveProgress = 0;
+                return;
+            }
+
+            player.reviveProgress = (player.reviveProgress || 0) + deltaTime;
+            if (player.reviveProgress >= REVIVE_TIME) {
+                this.revivePlayer(gameState, player, reviver, loop);
+            }
+        });
+    }
+
+    revivePlayer(gameState, player, reviver, loop) {
+        player.isDead = false;
+        player.deathTime = null;
+        player.reviveProgress = 0;
+        player.trail = [];
+        player.velX = 0;
+        player.velY = 0;
+        // Short grace period so the enemy that downed them can't finish the job
+        player.immunityActive = true;
+        player.immunityEndTime = gameState.gameTime + REVIVE_IMMUNITY;
+
+        loop.io.to(gameState.roomCode).emit(SOCKET_EVENTS.SERVER.PLAYER_REVIVED, {
+            playerId: player.id,
+            reviverId: reviver.id
+        });
+    }
+
+    // Only team-mates can bring a downed player back
+    canRespawn() {
+        return false;
+    }
+
+    /**
+     * Per-team score and headcount
+     */
+    buildTeamSummaries(gameState) {
+        return gameState.teams.map(team => {
+            const members = gameState.players.filter(p => p.teamId === team.id);
+            return {
+                id: team.id,
+                color: team.color,
+                score: team.score,
+                players: members.length,
+                alive: members.filter(p => !p.isDead).length
+            };
+        });
+    }
+
+    checkEndConditions(gameState) {
+        const { timeLimit, coinTarget } = gameState.endConditions;
+        const fielded = this.buildTeamSummaries(gameState).filter(team => team.players > 0);
+
+        // With a single team fielded the match runs until that team is wiped out
+        if (fielded.length > 0 && fielded.some(team => team.alive === 0)) {
+            return MATCH_END_REASONS.TEAM_ELIMINATED;
+        }
+
+        if (coinTarget && gameState.teams.some(team => team.score >= coinTarget)) {
+            return MATCH_END_REASONS.COIN_TARGET;
+        }
+
+        if (timeLimit && gameState.gameTime >= timeLimit) {
+            return MATCH_END_REASONS.TIME_LIMIT;
+        }
+
+        return null;
+    }
+
+    /**
+     * Teams with survivors rank above wiped-out ones, then by pooled score
+     */
+    rankTeams(gameState) {
+        return this.buildTeamSummaries(gameState)
+            .filter(team => team.players > 0)
+            .sort((a, b) => ((b.alive > 0) - (a.alive > 0)) || (b.score - a.score))
+            .map((team, index) => ({ rank: index + 1, ...team }));
+    }
+
+    buildStandings(gameState) {
+        const teamRanks = new Map(this.rankTeams(gameState).map(team => [team.id, team.rank]));
+
+        return gameState.players
+            .map(p => ({
+                playerId: p.id,
+                name: p.name,
+                teamId: p.teamId,
+                teamColor: p.teamColor,
+                alive: !p.isDead,
+                coins: p.totalCoins,
+                survivalTime: p.isDead ? p.deathTime : gameState.gameTime
+            }))
+            .sort((a, b) =>
+                (teamRanks.get(a.teamId) - teamRanks.get(b.teamId)) ||
+                (b.coins - a.coins) ||
+                (b.survivalTime - a.survivalTime)
+            )
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    getPublicState(gameState) {
+        return { teams: this.buildTeamSummaries(gameState) };
+    }
+
+    buildSummary(gameState) {
+        const teams = this.rankTeams(gameState);
+        return {
+            teams,
+            winningTeamId: teams[0]?.id || null
+        };
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Game mode registry
+ * Register new modes here; the game loop only talks to the GameMode interface.
+ */
+
+import { GAME_MODES } from '../../config/constants.js';
+import SurvivalMode from './SurvivalMode.js';
+import CoinRushMode from './CoinRushMode.js';
+import TeamMode from './TeamMode.js';
+
+const MODES = new Map(
+    [new SurvivalMode(), new CoinRushMode(), new TeamMode()].map(mode => [mode.id, mode])
+);
+
+/**
+ * Mode by id, falling back to survival for unknown ids
+ */
+export function getGameMode(id) {
+    return MODES.get(id) || MODES.get(GAME_MODES.SURVIVAL);
+}
+
+export function listGameModes() {
+    return Array.from(MODES.values()).map(({ id, name, description }) => ({ id, name, description }));
+}
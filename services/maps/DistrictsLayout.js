@@ -0,0 +1,102 @@
+/**
+ * Organic districts: the city is split into irregular neighbourhoods with winding
+ * boulevards along their edges, alleys inside, and the odd park with a lake.
+ */
+
+import { MAP_LAYOUTS, TILES } from '../../config/constants.js';
+import MapLayout from './MapLayout.js';
+
+const MIN_DISTRICTS = 6;
+const MAX_DISTRICTS = 10;
+const PARK_CHANCE = 0.2;
+const ALLEYS_PER_DISTRICT = 3;
+const ALLEY_LENGTH = 12;
+
+export default class DistrictsLayout extends MapLayout {
+    constructor() {
+        super({
+            id: MAP_LAYOUTS.DISTRICTS,
+            name: 'Organic Districts',
+            description: 'Winding streets between irregular neighbourhoods'
+        });
+    }
+
+    generateTiles(rng, width, height) {
+        const tiles = this.createGrid(width, height, TILES.BUILDING);
+
+        const count = MIN_DISTRICTS + Math.floor(rng() * (MAX_DISTRICTS - MIN_DISTRICTS + 1));
+        const districts = Array.from({ length: count }, () => ({
+            gx: 2 + Math.floor(rng() * (width - 4)),
+            gy: 2 + Math.floor(rng() * (height - 4)),
+            isPark: rng() < PARK_CHANCE
+        }));
+
+        // Each tile belongs to its nearest district centre
+        const owner = tiles.map((row, y) => row.map((_, x) => {
+            let nearest = 0;
+            let best = Infinity;
+            districts.forEach((district, i) => {
+                const d = (district.gx - x) ** 2 + (district.gy - y) ** 2;
+                if (d < best) {
+                    best = d;
+                    nearest = i;
+                }
+            });
+            return nearest;
+        }));
+
+        // Parks are open grass with a lake in the middle
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const district = districts[owner[y][x]];
+                if (!district.isPark) {
+                    if (rng() < 0.08) tiles[y][x] = TILES.GRASS;
+                    continue;
+                }
+                const d = Math.hypot(district.gx - x, district.gy - y);
+                tiles[y][x] = d < 2 + rng() ? TILES.WATER : TILES.GRASS;
+            }
+        }
+
+        // Alleys wander out from the centre of each built-up district
+        districts.filter(district => !district.isPark).forEach(district => {
+            for (let i = 0; i < ALLEYS_PER_DISTRICT; i++) {
+                this.carveAlley(tiles, rng, district);
+            }
+        });
+
+        // Two-tile boulevards wherever neighbouring tiles belong to different districts
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (x + 1 < width && owner[y][x] !== owner[y][x + 1]) {
+                    tiles[y][x] = TILES.ROAD;
+                    tiles[y][x + 1] = TILES.ROAD;
+                }
+                if (y + 1 < height && owner[y][x] !== owner[y + 1][x]) {
+                    tiles[y][x] = TILES.ROAD;
+                    tiles[y + 1][x] = TILES.ROAD;
+                }
+            }
+        }
+
+        return tiles;
+    }
+
+    /**
+     * Random walk from a district centre that prefers to keep going straight
+     */
+    carveAlley(tiles, rng, district) {
+        const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        let [dx, dy] = directions[Math.floor(rng() * directions.length)];
+        let { gx, gy } = district;
+
+        for (let step = 0; step < ALLEY_LENGTH; step++) {
+            this.setTile(tiles, gx, gy, TILES.ROAD);
+            if (rng() < 0.25) {
+                [dx, dy] = directions[Math.floor(rng() * directions.length)];
+            }
+            gx += dx;
+            gy += dy;
+        }
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Grid city: the original Qbit City map. Roads every few tiles, blocks of buildings,
+ * scattered parks and ponds.
+ */
+
+import { MAP_LAYOUTS, TILES } from '../../config/constants.js';
+import MapLayout from './MapLayout.js';
+
+const BLOCK_SIZE = 4;
+
+export default class GridCityLayout extends MapLayout {
+    constructor() {
+        super({
+            id: MAP_LAYOUTS.GRID_CITY,
+            name: 'Grid City',
+            description: 'Straight streets on a regular grid'
+        });
+    }
+
+    generateTiles(rng, width, height) {
+        const tiles = this.createGrid(width, height, TILES.BUILDING);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (y % BLOCK_SIZE === 0 || x % BLOCK_SIZE === 0) {
+                    tiles[y][x] = TILES.ROAD;
+                    continue;
+                }
+
+                const rand = rng();
+                if (rand < 0.05) {
+                    // Pond over the surrounding block, never over a road
+                    for (let ly = y - 1; ly <= y + 1; ly++) {
+                        for (let lx = x - 1; lx <= x + 1; lx++) {
+                            if (ly >= 0 && ly < height && lx >= 0 && lx < width && tiles[ly][lx] !== TILES.ROAD) {
+                                tiles[ly][lx] = TILES.WATER;
+                            }
+                        }
+                    }
+                } else if (rand < 0.15) {
+                    tiles[y][x] = TILES.GRASS;
+                }
+            }
+        }
+
+        return tiles;
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Islands: small gridded towns on islands in open water, linked by bridges.
+ */
+
+import { MAP_LAYOUTS, TILES } from '../../config/constants.js';
+import MapLayout from './MapLayout.js';
+
+const MIN_ISLANDS = 4;
+const MAX_ISLANDS = 6;
+const MIN_RADIUS = 5;
+const MAX_RADIUS = 8;
+const MIN_SPACING = 12; // tiles between island centres
+const SMALL_MAP_SIZE = 30; // maps narrower than this fit only one or two islands
+const SMALL_MAP_MIN_RADIUS = 6;
+const BLOCK_SIZE = 3;
+
+export default class IslandsLayout extends MapLayout {
+    constructor() {
+        super({
+            id: MAP_LAYOUTS.ISLANDS,
+            name: 'Islands',
+            description: 'Island towns connected by bridges'
+        });
+    }
+
+    generateTiles(rng, width, height) {
+        const tiles = this.createGrid(width, height, TILES.WATER);
+        const islands = this.placeIslands(rng, width, height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Ragged coastlines from a little noise on each island's radius
+                const onLand = islands.some(island =>
+                    Math.hypot(island.gx - x, island.gy - y) < island.radius + (rng() - 0.5) * 1.5
+                );
+                if (!onLand) continue;
+
+                if (x % BLOCK_SIZE === 0 || y % BLOCK_SIZE === 0) {
+                    tiles[y][x] = TILES.ROAD;
+                } else {
+                    tiles[y][x] = rng() < 0.15 ? TILES.GRASS : TILES.BUILDING;
+                }
+            }
+        }
+
+        this.connectIslands(islands).forEach(([a, b]) => this.carveRoad(tiles, a, b));
+        return tiles;
+    }
+
+    /**
+     * Island centres spread apart by rejection sampling
+     */
+    placeIslands(rng, width, height) {
+        const target = MIN_ISLANDS + Math.floor(rng() * (MAX_ISLANDS - MIN_ISLANDS + 1));
+        const islands = [];
+
+        // Those few islands have to be big enough to carry a whole road network
+        const minRadius = Math.min(width, height) < SMALL_MAP_SIZE ? SMALL_MAP_MIN_RADIUS : MIN_RADIUS;
+
+        for (let attempt = 0; attempt < 200 && islands.length < target; attempt++) {
+            const radius = minRadius + Math.floor(rng() * (MAX_RADIUS - minRadius + 1));
+            const candidate = {
+                gx: radius + 1 + Math.floor(rng() * (width - radius * 2 - 2)),
+                gy: radius + 1 + Math.floor(rng() * (height - radius * 2 - 2)),
+                radius
+            };
+            if (islands.every(island => Math.hypot(island.gx - candidate.gx, island.gy - candidate.gy) >= MIN_SPACING)) {
+                islands.push(candidate);
+            }
+        }
+
+        return islands;
+    }
+
+    /**
+     * Bridges along a minimum spanning tree of the island centres (Prim's algorithm)
+     */
+    connectIslands(islands) {
+        const bridges = [];
+        const linked = new Set([0]);
+
+        while (linked.size < islands.length) {
+            let best = null;
+            linked.forEach(i => {
+                islands.forEach((island, j) => {
+                    if (linked.has(j)) return;
+                    const d = Math.hypot(islands[i].gx - island.gx, islands[i].gy - island.gy);
+                    if (!best || d < best.d) best = { i, j, d };
+                });
+            });
+            linked.add(best.j);
+            bridges.push([islands[best.i], islands[best.j]]);
+        }
+
+        return bridges;
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * Map Layout base class
+ * A layout lays out the tile grid for a seed; the map generator adds the lava border,
+ * checks connectivity and places buildings and trees afterwards.
+ */
+
+import { TILES } from '../../config/constants.js';
+
+export default class MapLayout {
+    constructor({ id, name, description }) {
+        this.id = id;
+        this.name = name;
+        this.description = description;
+    }
+
+    /**
+     * @param {Function} rng - Seeded generator returning floats in [0, 1)
+     * @returns {number[][]} - height rows of width tile codes
+     */
+    generateTiles(rng, width, height) {
+        throw new Error(`${this.constructor.name} does not implement generateTiles`);
+    }
+
+    createGrid(width, height, tile) {
+        return Array.from({ length: height }, () => new Array(width).fill(tile));
+    }
+
+    /**
+     * Paint a tile if it lies on the map
+     */
+    setTile(tiles, gx, gy, tile) {
+        if (gy >= 0 && gy < tiles.length && gx >= 0 && gx < tiles[gy].length) {
+            tiles[gy][gx] = tile;
+        }
+    }
+
+    /**
+     * Paint a one-tile road along an L-shaped route, horizontal leg first
+     */
+    carveRoad(tiles, from, to) {
+        let { gx, gy } = from;
+        this.setTile(tiles, gx, gy, TILES.ROAD);
+        while (gx !== to.gx) {
+            gx += Math.sign(to.gx - gx);
+            this.setTile(tiles, gx, gy, TILES.ROAD);
+        }
+        while (gy !== to.gy) {
+            gy += Math.sign(to.gy - gy);
+            this.setTile(tiles, gx, gy, TILES.ROAD);
+        }
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Hand-made maps
+ * Loaded once at startup from MAP_CONFIG.CUSTOM_DIRECTORY, one JSON file per map; the file
+ * name without .json is the map id. Files that fail validation are logged and skipped, so
+ * every registered map is playable.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { MAP_CONFIG } from '../../config/constants.js';
+import { validateMapDefinition } from '../../utils/mapValidation.js';
+
+const customMaps = new Map();
+
+async function readDefinition(filePath) {
+    const { size } = await fs.stat(filePath);
+    if (size > MAP_CONFIG.MAX_CUSTOM_MAP_BYTES) {
+        throw new Error(`file is larger than ${MAP_CONFIG.MAX_CUSTOM_MAP_BYTES} bytes`);
+    }
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Replace the registered maps with the valid ones found in a directory
+ * @returns {number} - How many maps were loaded
+ */
+export async function loadCustomMaps(directory = MAP_CONFIG.CUSTOM_DIRECTORY) {
+    customMaps.clear();
+
+    let files;
+    try {
+        files = await fs.readdir(directory);
+    } catch (error) {
+        // No directory just means no custom maps
+        if (error.code !== 'ENOENT') {
+            console.log(`Error reading map directory ${directory}: ${error.message}`);
+        }
+        return 0;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+        const id = path.basename(file, '.json');
+        if (!MAP_CONFIG.CUSTOM_MAP_ID_PATTERN.test(id)) {
+            console.log(`Skipping map ${file}: name must be lowercase letters, digits, - or _`);
+            continue;
+        }
+
+        try {
+            const definition = await readDefinition(path.join(directory, file));
+            const { valid, error } = validateMapDefinition(definition);
+            if (!valid) {
+                console.log(`Skipping map ${file}: ${error}`);
+                continue;
+            }
+            customMaps.set(id, Object.freeze({ id, ...definition }));
+        } catch (error) {
+            console.log(`Skipping map ${file}: ${error.message}`);
+        }
+    }
+
+    console.log(`Loaded ${customMaps.size} custom map(s) from ${directory}`);
+    return customMaps.size;
+}
+
+/**
+ * Validated definition for a map id, or null if no such map was loaded
+ */
+export function getCustomMap(id) {
+    return customMaps.get(id) || null;
+}
+
+export function listCustomMaps() {
+    return Array.from(customMaps.values()).map(({ id, name, description }) => ({
+        id,
+        name: typeof name === 'string' ? name : id,
+        description: typeof description === 'string' ? description : ''
+    }));
+}
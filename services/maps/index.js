@@ -0,0 +1,210 @@
+/**
+ * Map generation
+ * Register new layouts here. generateMap turns a layout name and seed into a playable map:
+ * the layout's tiles, a lava border, a connectivity check with repair, then buildings and trees.
+ * buildCustomMap does the same for a hand-made map loaded from disk.
+ */
+
+import { MAP_CONFIG, BOAT_CONFIG, TILES } from '../../config/constants.js';
+import { createSeededRandom } from '../../utils/random.js';
+import { validateConnectivity, repairConnectivity } from '../../utils/mapValidation.js';
+import GridCityLayout from './GridCityLayout.js';
+import DistrictsLayout from './DistrictsLayout.js';
+import IslandsLayout from './IslandsLayout.js';
+
+export { loadCustomMaps, getCustomMap, listCustomMaps } from './customMaps.js';
+
+const LAYOUTS = new Map(
+    [new GridCityLayout(), new DistrictsLayout(), new IslandsLayout()].map(layout => [layout.id, layout])
+);
+
+/**
+ * Layout by id, falling back to the default layout for unknown ids
+ */
+export function getMapLayout(id) {
+    return LAYOUTS.get(id) || LAYOUTS.get(MAP_CONFIG.DEFAULT_LAYOUT);
+}
+
+export function listMapLayouts() {
+    return Array.from(LAYOUTS.values()).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+function addLavaBorder(tiles) {
+    const height = tiles.length;
+    const width = tiles[0].length;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (x === 0 || x === width - 1 || y === 0 || y === height - 1) {
+                tiles[y][x] = TILES.LAVA;
+            }
+        }
+    }
+}
+
+/**
+ * Building and tree props for the renderer, placed on building and grass tiles
+ */
+function decorate(tiles, rng) {
+    const { TILE_SIZE } = MAP_CONFIG;
+    const buildings = [];
+    const trees = [];
+
+    for (let y = 0; y < tiles.length; y++) {
+        for (let x = 0; x < tiles[y].length; x++) {
+            const tile = tiles[y][x];
+            const px = x * TILE_SIZE;
+            const py = y * TILE_SIZE;
+
+            if (tile === TILES.BUILDING) {
+                const rand = rng();
+                let type = 0; // Residential
+                let height = 40 + rng() * 60;
+                let color = '#252525';
+                let wallColor = '#151515';
+
+                if (rand > 0.9) {
+                    type = 1; // Shop
+                    height = 30 + rng() * 20;
+                    color = '#331133';
+                    wallColor = '#220022';
+                } else if (rand > 0.8) {
+                    type = 2; // Cafe
+                    height = 25 + rng() * 15;
+                    color = '#2e3b2e';
+                    wallColor = '#1a221a';
+                }
+
+                buildings.push({
+                    gridX: x,
+                    gridY: y,
+                    x: px,
+                    y: py,
+                    w: TILE_SIZE,
+                    h: TILE_SIZE,
+                    height,
+                    color,
+                    wallColor,
+                    type
+                });
+            } else if (tile === TILES.GRASS && rng() > 0.3) {
+                trees.push({
+                    x: px + TILE_SIZE / 2 + (rng() * 20 - 10),
+                    y: py + TILE_SIZE / 2 + (rng() * 20 - 10),
+                    r: 10 + rng() * 10
+                });
+            }
+        }
+    }
+
+    return { buildings, trees };
+}
+
+/**
+ * Build a deterministic map for a layout and seed. Layouts that come out with too few
+ * roads or unreachable spawn areas are repaired, and regenerated from a derived seed
+ * if repair is not enough. A layout that never passes falls back to the default layout.
+ */
+export function generateMap(layoutId, seed, width = MAP_CONFIG.WIDTH, height = MAP_CONFIG.HEIGHT) {
+    const layout = getMapLayout(layoutId);
+    let tiles = null;
+    let rng = null;
+    let accepted = false;
+
+    for (let attempt = 0; attempt < MAP_CONFIG.MAX_GENERATION_ATTEMPTS && !accepted; attempt++) {
+        rng = createSeededRandom(attempt === 0 ? seed : `${seed}:${attempt}`);
+        tiles = layout.generateTiles(rng, width, height);
+        addLavaBorder(tiles);
+
+        const check = validateConnectivity(tiles);
+        if (check.roadTiles < MAP_CONFIG.MIN_ROAD_TILES) continue;
+        if (!check.valid && !repairConnectivity(tiles, MAP_CONFIG.MIN_REGION_SIZE)) continue;
+
+        // Repair builds over cut-off pockets, which can take the road count back under the minimum
+        accepted = check.valid || validateConnectivity(tiles).roadTiles >= MAP_CONFIG.MIN_ROAD_TILES;
+    }
+
+    if (!accepted) {
+        const fallback = getMapLayout(MAP_CONFIG.DEFAULT_LAYOUT);
+        if (fallback === layout) {
+            throw new Error(`Layout ${layout.id} produced no playable ${width}x${height} map for seed ${seed}`);
+        }
+        console.log(`Layout ${layout.id} produced no playable ${width}x${height} map for seed ${seed}; using ${fallback.id}`);
+        return generateMap(fallback.id, seed, width, height);
+    }
+
+    return {
+        layout: layout.id,
+        customMap: null,
+        tileSize: MAP_CONFIG.TILE_SIZE,
+        gridWidth: width,
+        gridHeight: height,
+        width: width * MAP_CONFIG.TILE_SIZE,
+        height: height * MAP_CONFIG.TILE_SIZE,
+        tiles,
+        ...decorate(tiles, rng),
+        spawnPoints: [],
+        portalPairs: [],
+        boatRoutes: [perimeterRoute(width, height)]
+    };
+}
+
+function tileCenter({ gx, gy }) {
+    const { TILE_SIZE } = MAP_CONFIG;
+    return { x: gx * TILE_SIZE + TILE_SIZE / 2, y: gy * TILE_SIZE + TILE_SIZE / 2 };
+}
+
+/**
+ * Clockwise loop around the lava border, the route boats take unless a map sets its own
+ */
+function perimeterRoute(width, height) {
+    return {
+        waypoints: [
+            { gx: 0, gy: 0 },
+            { gx: width - 1, gy: 0 },
+            { gx: width - 1, gy: height - 1 },
+            { gx: 0, gy: height - 1 }
+        ].map(tileCenter),
+        speed: BOAT_CONFIG.DEFAULT_SPEED
+    };
+}
+
+/**
+ * Playable map from a validated custom map definition. Props are decorated from the seed
+ * like a generated map, then the file's building overrides are applied and its trees,
+ * if it lists any, replace the generated ones. Fixed points come out in pixels.
+ */
+export function buildCustomMap(definition, seed) {
+    const { TILE_SIZE } = MAP_CONFIG;
+    const tiles = definition.tiles.map(row => [...row]);
+    const { buildings, trees } = decorate(tiles, createSeededRandom(seed));
+
+    (definition.buildings || []).forEach(({ gx, gy, type, height, color, wallColor }) => {
+        const building = buildings.find(b => b.gridX === gx && b.gridY === gy);
+        Object.entries({ type, height, color, wallColor }).forEach(([field, value]) => {
+            if (value !== undefined) building[field] = value;
+        });
+    });
+
+    return {
+        layout: null,
+        customMap: definition.id,
+        tileSize: TILE_SIZE,
+        gridWidth: tiles[0].length,
+        gridHeight: tiles.length,
+        width: tiles[0].length * TILE_SIZE,
+        height: tiles.length * TILE_SIZE,
+        tiles,
+        buildings,
+        trees: definition.trees
+            ? definition.trees.map(tree => ({ ...tileCenter(tree), r: tree.r ?? 15 }))
+            : trees,
+        spawnPoints: (definition.spawnPoints || []).map(tileCenter),
+        portalPairs: (definition.portals || []).map(pair => pair.map(tileCenter)),
+        boatRoutes: definition.boatRoutes?.length
+            ? definition.boatRoutes.map(route => ({
+                waypoints: route.waypoints.map(tileCenter),
+                speed: route.speed ?? BOAT_CONFIG.DEFAULT_SPEED
+            }))
+            : [perimeterRoute(tiles[0].length, tiles.length)]
+    };
+}
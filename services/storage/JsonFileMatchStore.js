@@ -0,0 +1,70 @@
+/**
+ * JSON file match store
+ * The offline default: keeps results in memory and rewrites a single JSON file after each match.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import MatchStore from './MatchStore.js';
+
+export default class JsonFileMatchStore extends MatchStore {
+    constructor({ filePath, maxMatches }) {
+        super();
+        this.filePath = filePath;
+        this.maxMatches = maxMatches;
+        this.matches = [];
+        this.loading = null;
+        // Writes are chained so concurrent matches never interleave on disk
+        this.writing = Promise.resolve();
+    }
+
+    init() {
+        this.loading ??= this.load();
+        return this.loading;
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.matches = Array.isArray(data.matches) ? data.matches : [];
+        } catch (error) {
+            // A missing file just means no matches have been played yet
+            if (error.code !== 'ENOENT') {
+                console.log(`Error reading match store ${this.filePath}: ${error.message}`);
+            }
+            this.matches = [];
+        }
+    }
+
+    async saveMatch(match) {
+        await this.init();
+
+        this.matches.push(match);
+        if (this.matches.length > this.maxMatches) {
+            this.matches.splice(0, this.matches.length - this.maxMatches);
+        }
+
+        this.writing = this.writing.then(() => this.write(), () => this.write());
+        return this.writing;
+    }
+
+    async findMatches({ since = null, mode } = {}) {
+        await this.init();
+
+        return this.matches.filter(match =>
+            (since === null || match.finishedAt >= since) &&
+            (!mode || match.mode === mode)
+        );
+    }
+
+    /**
+     * Write to a temporary file and rename it over the old one, so a crash mid-write
+     * never leaves a truncated store behind
+     */
+    async write() {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ matches: this.matches }));
+        await fs.rename(tempPath, this.filePath);
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * Match Store interface
+ * Persists finished match results for leaderboards. Backends implement these methods;
+ * everything else talks to the store only through them.
+ */
+
+export default class MatchStore {
+    /**
+     * Prepare the backend (open files, create tables). Called once before first use.
+     */
+    async init() {}
+
+    /**
+     * Persist one finished match
+     * @param {object} match - Result built by the leaderboard manager
+     */
+    async saveMatch(match) {
+        throw new Error(`${this.constructor.name} does not implement saveMatch`);
+    }
+
+    /**
+     * Finished matches, oldest first
+     * @param {object} filter - { since: ms timestamp or null, mode: mode id or undefined }
+     * @returns {Promise<Array>}
+     */
+    async findMatches(filter) {
+        throw new Error(`${this.constructor.name} does not implement findMatches`);
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * Match store registry
+ * Register new backends here and select one with LEADERBOARD_CONFIG.STORAGE.
+ */
+
+import { LEADERBOARD_CONFIG } from '../../config/constants.js';
+import JsonFileMatchStore from './JsonFileMatchStore.js';
+
+const STORES = {
+    json: () => new JsonFileMatchStore({
+        filePath: LEADERBOARD_CONFIG.DATA_FILE,
+        maxMatches: LEADERBOARD_CONFIG.MAX_STORED_MATCHES
+    })
+};
+
+export function createMatchStore(type = LEADERBOARD_CONFIG.STORAGE) {
+    const factory = STORES[type];
+    if (!factory) {
+        throw new Error(`Unknown match store: ${type}`);
+    }
+    return factory();
+}
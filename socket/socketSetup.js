@@ -3,15 +3,48 @@
  */
 
 import { Server } from 'socket.io';
-import { SERVER_CONFIG } from '../config/constants.js';
+import { SERVER_CONFIG, SOCKET_EVENTS, ERROR_CODES } from '../config/constants.js';
+import { CLIENT_EVENT_SCHEMAS } from '../config/eventSchemas.js';
+import { validateSchema } from '../utils/schemaValidator.js';
+import antiCheatManager from '../services/AntiCheatManager.js';
 import { registerRoomHandlers } from '../handlers/roomHandlers.js';
 import { registerQbitCityGameHandlers } from '../handlers/qbitCityGameHandlers.js';
 import { registerConnectionHandlers } from '../handlers/connectionHandlers.js';
+import { registerLeaderboardHandlers } from '../handlers/leaderboardHandlers.js';
+
+/**
+ * Reject any client event whose payload does not match its schema, before handlers see it
+ */
+function validateClientEvent(socket, [event, data], next) {
+    const schema = CLIENT_EVENT_SCHEMAS[event];
+    if (!schema) {
+        socket.emit(SOCKET_EVENTS.SERVER.ACTION_ERROR, {
+            code: ERROR_CODES.UNKNOWN_EVENT,
+            message: `Unknown event ${event}`,
+            event
+        });
+        return;
+    }
+
+    const error = validateSchema(schema.payload, data);
+    if (error) {
+        socket.emit(schema.errorEvent, { code: ERROR_CODES.INVALID_PAYLOAD, message: error, event });
+        antiCheatManager.reportViolation(socket, `invalid ${event} payload: ${error}`);
+        return;
+    }
+
+    next();
+}
 
 /**
  * Initialize and configure Socket.IO server
  */
 export function setupSocketIO(httpServer) {
+    const missing = Object.values(SOCKET_EVENTS.CLIENT).filter(event => !CLIENT_EVENT_SCHEMAS[event]);
+    if (missing.length > 0) {
+        throw new Error(`Missing payload schemas for: ${missing.join(', ')}`);
+    }
+
     const io = new Server(httpServer, {
         cors: {
             origin: SERVER_CONFIG.CORS_ORIGIN,
@@ -21,9 +54,12 @@ export function setupSocketIO(httpServer) {
 
     // Register socket connection handler
     io.on('connection', (socket) => {
+        socket.use((packet, next) => validateClientEvent(socket, packet, next));
+
         registerConnectionHandlers(socket, io);
         registerRoomHandlers(socket, io);
         registerQbitCityGameHandlers(socket, io);
+        registerLeaderboardHandlers(socket);
     });
 
     return io;
@@ -0,0 +1,54 @@
+/**
+ * Uniform spatial hash grid for radius queries over positioned entities
+ */
+
+export class SpatialGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "cx,cy" -> entity[]
+    }
+
+    cellKey(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    /**
+     * Insert an entity with x/y
+     */
+    insert(entity) {
+        const cx = Math.floor(entity.x / this.cellSize);
+        const cy = Math.floor(entity.y / this.cellSize);
+        const cellKey = this.cellKey(cx, cy);
+
+        if (!this.cells.has(cellKey)) {
+            this.cells.set(cellKey, []);
+        }
+        this.cells.get(cellKey).push(entity);
+    }
+
+    /**
+     * Set of entities within radius of (x, y)
+     */
+    queryRadius(x, y, radius) {
+        const results = new Set();
+        const minCx = Math.floor((x - radius) / this.cellSize);
+        const maxCx = Math.floor((x + radius) / this.cellSize);
+        const minCy = Math.floor((y - radius) / this.cellSize);
+        const maxCy = Math.floor((y + radius) / this.cellSize);
+
+        for (let cy = minCy; cy <= maxCy; cy++) {
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                const cell = this.cells.get(this.cellKey(cx, cy));
+                if (!cell) continue;
+
+                cell.forEach(entity => {
+                    if (Math.hypot(entity.x - x, entity.y - y) <= radius) {
+                        results.add(entity);
+                    }
+                });
+            }
+        }
+
+        return results;
+    }
+}
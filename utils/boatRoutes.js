@@ -0,0 +1,45 @@
+/**
+ * Boat route geometry
+ * A route is a closed loop of pixel waypoints: boats sail from the last waypoint back to the first.
+ */
+
+function getLegs(waypoints) {
+    return waypoints.map((from, i) => {
+        const to = waypoints[(i + 1) % waypoints.length];
+        return { from, to, length: Math.hypot(to.x - from.x, to.y - from.y) };
+    });
+}
+
+export function getRouteLength(waypoints) {
+    return getLegs(waypoints).reduce((sum, leg) => sum + leg.length, 0);
+}
+
+/**
+ * Position and heading a given distance along a route
+ * @returns {object} - { x, y, dirX, dirY } with a unit heading
+ */
+export function getRoutePosition(waypoints, dist) {
+    const legs = getLegs(waypoints).filter(leg => leg.length > 0);
+    if (legs.length === 0) {
+        return { x: waypoints[0].x, y: waypoints[0].y, dirX: 0, dirY: 0 };
+    }
+
+    const total = legs.reduce((sum, leg) => sum + leg.length, 0);
+    let remaining = ((dist % total) + total) % total;
+
+    for (const { from, to, length } of legs) {
+        if (remaining < length) {
+            const t = remaining / length;
+            return {
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                dirX: (to.x - from.x) / length,
+                dirY: (to.y - from.y) / length
+            };
+        }
+        remaining -= length;
+    }
+
+    const { to, from, length } = legs[legs.length - 1];
+    return { x: to.x, y: to.y, dirX: (to.x - from.x) / length, dirY: (to.y - from.y) / length };
+}
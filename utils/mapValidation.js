@@ -0,0 +1,264 @@
+/**
+ * Map connectivity checks
+ * Players spawn on road tiles, so every road tile has to be reachable from every other
+ * without crossing buildings, water or lava.
+ */
+
+import { MAP_CONFIG, BOAT_CONFIG, TILES } from '../config/constants.js';
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Tiles a player can stand on safely
+ */
+function isOpen(tile) {
+    return tile === TILES.ROAD || tile === TILES.GRASS;
+}
+
+function isInterior(tiles, gx, gy) {
+    return gy > 0 && gy < tiles.length - 1 && gx > 0 && gx < tiles[gy].length - 1;
+}
+
+/**
+ * Flood-fill the open tiles into connected regions, largest road network first
+ * @returns {Array} - [{ tiles: [{ gx, gy }], roadCount }]
+ */
+export function findRegions(tiles) {
+    const seen = tiles.map(row => row.map(() => false));
+    const regions = [];
+
+    for (let y = 0; y < tiles.length; y++) {
+        for (let x = 0; x < tiles[y].length; x++) {
+            if (seen[y][x] || !isOpen(tiles[y][x])) continue;
+
+            const region = { tiles: [], roadCount: 0 };
+            const queue = [{ gx: x, gy: y }];
+            seen[y][x] = true;
+
+            while (queue.length > 0) {
+                const tile = queue.pop();
+                region.tiles.push(tile);
+                if (tiles[tile.gy][tile.gx] === TILES.ROAD) region.roadCount++;
+
+                for (const [dx, dy] of NEIGHBOURS) {
+                    const nx = tile.gx + dx;
+                    const ny = tile.gy + dy;
+                    if (ny < 0 || ny >= tiles.length || nx < 0 || nx >= tiles[ny].length) continue;
+                    if (seen[ny][nx] || !isOpen(tiles[ny][nx])) continue;
+                    seen[ny][nx] = true;
+                    queue.push({ gx: nx, gy: ny });
+                }
+            }
+
+            regions.push(region);
+        }
+    }
+
+    return regions.sort((a, b) => (b.roadCount - a.roadCount) || (b.tiles.length - a.tiles.length));
+}
+
+/**
+ * @returns {object} - { valid, roadTiles, regions } where regions only counts those with roads
+ */
+export function validateConnectivity(tiles) {
+    const regions = findRegions(tiles).filter(region => region.roadCount > 0);
+    const roadTiles = regions.reduce((sum, region) => sum + region.roadCount, 0);
+    return { valid: regions.length === 1, roadTiles, regions: regions.length };
+}
+
+/**
+ * Shortest run of interior tiles from a region to any tile in `target`,
+ * excluding the region's own tiles
+ */
+function findCorridor(tiles, region, target) {
+    const width = tiles[0].length;
+    const key = (gx, gy) => gy * width + gx;
+    const parents = new Map();
+    const queue = [];
+
+    region.tiles.forEach(({ gx, gy }) => {
+        parents.set(key(gx, gy), null);
+        queue.push({ gx, gy });
+    });
+
+    for (let head = 0; head < queue.length; head++) {
+        const tile = queue[head];
+        for (const [dx, dy] of NEIGHBOURS) {
+            const nx = tile.gx + dx;
+            const ny = tile.gy + dy;
+            const next = key(nx, ny);
+            if (!isInterior(tiles, nx, ny) || parents.has(next)) continue;
+            parents.set(next, key(tile.gx, tile.gy));
+
+            if (target.has(next)) {
+                const corridor = [];
+                for (let node = parents.get(next); parents.get(node) !== null; node = parents.get(node)) {
+                    corridor.push({ gx: node % width, gy: Math.floor(node / width) });
+                }
+                return corridor;
+            }
+            queue.push({ gx: nx, gy: ny });
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Join every road network to the largest one, in place. Small pockets are built over;
+ * larger ones get a road carved to the main network, bridging water where needed.
+ * @returns {boolean} - Whether the map is connected afterwards
+ */
+export function repairConnectivity(tiles, minRegionSize) {
+    const width = tiles[0].length;
+    const key = (gx, gy) => gy * width + gx;
+    const [main, ...others] = findRegions(tiles).filter(region => region.roadCount > 0);
+    if (!main) return false;
+
+    const mainTiles = new Set(main.tiles.map(({ gx, gy }) => key(gx, gy)));
+
+    others.forEach(region => {
+        if (region.tiles.length < minRegionSize) {
+            region.tiles.forEach(({ gx, gy }) => {
+                tiles[gy][gx] = TILES.BUILDING;
+            });
+            return;
+        }
+
+        const corridor = findCorridor(tiles, region, mainTiles);
+        if (!corridor) return;
+
+        corridor.forEach(({ gx, gy }) => {
+            tiles[gy][gx] = TILES.ROAD;
+            mainTiles.add(key(gx, gy));
+        });
+        region.tiles.forEach(({ gx, gy }) => mainTiles.add(key(gx, gy)));
+    });
+
+    return validateConnectivity(tiles).valid;
+}
+
+// Renderer fields a map file may set on a building or tree prop
+const isColor = value => typeof value === 'string' && value.length <= 32;
+const isSize = value => typeof value === 'number' && value > 0 && value <= 200;
+const BUILDING_OVERRIDES = {
+    type: value => [0, 1, 2].includes(value), // residential, shop, cafe
+    height: isSize,
+    color: isColor,
+    wallColor: isColor
+};
+const TREE_OVERRIDES = { r: isSize };
+
+function hasValidOverrides(prop, overrides) {
+    return Object.entries(overrides).every(([field, isValid]) => prop[field] === undefined || isValid(prop[field]));
+}
+
+function isPoint(point) {
+    return point !== null && typeof point === 'object' && Number.isInteger(point.gx) && Number.isInteger(point.gy);
+}
+
+function inBounds(tiles, { gx, gy }) {
+    return gy >= 0 && gy < tiles.length && gx >= 0 && gx < tiles[gy].length;
+}
+
+/**
+ * Check a hand-made map definition before it can be played: grid size and tile codes,
+ * a solid lava border, one connected road network, and every spawn point and portal on it.
+ * Prop overrides must sit on matching tiles and boat routes inside the map.
+ * @returns {object} - { valid, error }
+ */
+export function validateMapDefinition(definition) {
+    const fail = error => ({ valid: false, error });
+
+    if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+        return fail('Map must be a JSON object');
+    }
+
+    const { tiles } = definition;
+    const { MIN_SIZE, MAX_SIZE } = MAP_CONFIG;
+    if (!Array.isArray(tiles) || tiles.length < MIN_SIZE || tiles.length > MAX_SIZE) {
+        return fail(`tiles must have ${MIN_SIZE}-${MAX_SIZE} rows`);
+    }
+
+    const height = tiles.length;
+    const width = Array.isArray(tiles[0]) ? tiles[0].length : 0;
+    if (width < MIN_SIZE || width > MAX_SIZE) {
+        return fail(`tiles rows must have ${MIN_SIZE}-${MAX_SIZE} columns`);
+    }
+
+    const tileCodes = Object.values(TILES);
+    for (let y = 0; y < height; y++) {
+        if (!Array.isArray(tiles[y]) || tiles[y].length !== width) {
+            return fail(`tiles row ${y} must have ${width} columns`);
+        }
+        for (let x = 0; x < width; x++) {
+            const tile = tiles[y][x];
+            if (!tileCodes.includes(tile)) {
+                return fail(`tiles[${y}][${x}] is not a tile code`);
+            }
+            if (!isInterior(tiles, x, y) && tile !== TILES.LAVA) {
+                return fail(`Border tile (${x}, ${y}) must be lava`);
+            }
+        }
+    }
+
+    const regions = findRegions(tiles).filter(region => region.roadCount > 0);
+    if (regions.length === 0) return fail('Map has no roads');
+    if (regions.length > 1) return fail('Road network is not connected');
+
+    const reachable = new Set(regions[0].tiles.map(({ gx, gy }) => gy * width + gx));
+    const isReachable = point => isPoint(point) && inBounds(tiles, point) && reachable.has(point.gy * width + point.gx);
+
+    const { spawnPoints = [], portals = [], boatRoutes = [], buildings = [], trees = [] } = definition;
+
+    if (!Array.isArray(spawnPoints)) return fail('spawnPoints must be an array');
+    const badSpawn = spawnPoints.findIndex(point => !isReachable(point));
+    if (badSpawn !== -1) return fail(`spawnPoints[${badSpawn}] is not reachable from the road network`);
+
+    if (!Array.isArray(portals)) return fail('portals must be an array');
+    for (let i = 0; i < portals.length; i++) {
+        const pair = portals[i];
+        if (!Array.isArray(pair) || pair.length !== 2) return fail(`portals[${i}] must be a pair of tiles`);
+        if (!pair.every(point => isReachable(point) && tiles[point.gy][point.gx] === TILES.ROAD)) {
+            return fail(`portals[${i}] must join two reachable road tiles`);
+        }
+    }
+
+    if (!Array.isArray(boatRoutes)) return fail('boatRoutes must be an array');
+    for (let i = 0; i < boatRoutes.length; i++) {
+        const waypoints = boatRoutes[i]?.waypoints;
+        if (!Array.isArray(waypoints) || waypoints.length < 2) {
+            return fail(`boatRoutes[${i}] needs at least two waypoints`);
+        }
+        if (!waypoints.every(point => isPoint(point) && inBounds(tiles, point))) {
+            return fail(`boatRoutes[${i}] leaves the map`);
+        }
+        if (waypoints.every(point => point.gx === waypoints[0].gx && point.gy === waypoints[0].gy)) {
+            return fail(`boatRoutes[${i}] must visit at least two different tiles`);
+        }
+        const { speed } = boatRoutes[i];
+        if (speed !== undefined && !(typeof speed === 'number' && speed >= BOAT_CONFIG.MIN_SPEED && speed <= BOAT_CONFIG.MAX_SPEED)) {
+            return fail(`boatRoutes[${i}].speed must be ${BOAT_CONFIG.MIN_SPEED}-${BOAT_CONFIG.MAX_SPEED}`);
+        }
+    }
+
+    if (!Array.isArray(buildings)) return fail('buildings must be an array');
+    for (let i = 0; i < buildings.length; i++) {
+        const building = buildings[i];
+        if (!isPoint(building) || !inBounds(tiles, building) || tiles[building.gy][building.gx] !== TILES.BUILDING) {
+            return fail(`buildings[${i}] is not on a building tile`);
+        }
+        if (!hasValidOverrides(building, BUILDING_OVERRIDES)) return fail(`buildings[${i}] has an invalid field`);
+    }
+
+    if (!Array.isArray(trees)) return fail('trees must be an array');
+    for (let i = 0; i < trees.length; i++) {
+        const tree = trees[i];
+        if (!isPoint(tree) || !inBounds(tiles, tree) || tiles[tree.gy][tree.gx] !== TILES.GRASS) {
+            return fail(`trees[${i}] is not on a grass tile`);
+        }
+        if (!hasValidOverrides(tree, TREE_OVERRIDES)) return fail(`trees[${i}] has an invalid field`);
+    }
+
+    return { valid: true, error: null };
+}
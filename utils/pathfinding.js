@@ -0,0 +1,128 @@
+/**
+ * Grid pathfinding over map tiles
+ * Shares its solidity rules with the game loop's collision checks, so any path found here is walkable.
+ */
+
+import { TILES } from '../config/constants.js';
+
+const NEIGHBOURS = [
+    { dx: 1, dy: 0 },
+    { dx: -1, dy: 0 },
+    { dx: 0, dy: 1 },
+    { dx: 0, dy: -1 }
+];
+
+/**
+ * Buildings and water block everyone. Lava blocks most enemies; players and
+ * lava-crossing enemies can walk into it (players die there instead).
+ */
+export function isSolidTile(tile, crossesLava) {
+    if (tile === TILES.BUILDING || tile === TILES.WATER) return true;
+    return tile === TILES.LAVA && !crossesLava;
+}
+
+export function isWalkable(tiles, gx, gy, crossesLava = false) {
+    return gy >= 0 && gy < tiles.length && gx >= 0 && gx < tiles[gy].length && !isSolidTile(tiles[gy][gx], crossesLava);
+}
+
+/**
+ * Binary min-heap of [priority, value] pairs
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(priority, value) {
+        const { items } = this;
+        items.push([priority, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent][0] <= items[i][0]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const { items } = this;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+                if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top[1];
+    }
+}
+
+/**
+ * A* over the tile grid with 4-way movement
+ * @param {number[][]} tiles - map.tiles
+ * @param {object} start - { gx, gy }
+ * @param {object} goal - { gx, gy }
+ * @param {object} options - { crossesLava, maxNodes } where maxNodes caps the search
+ * @returns {Array|null} - Tiles from the one after start up to goal, or null if unreachable
+ */
+export function findPath(tiles, start, goal, { crossesLava = false, maxNodes = Infinity } = {}) {
+    if (!isWalkable(tiles, goal.gx, goal.gy, crossesLava)) return null;
+    if (start.gx === goal.gx && start.gy === goal.gy) return [];
+
+    const width = tiles[0].length;
+    const key = (gx, gy) => gy * width + gx;
+    const heuristic = (gx, gy) => Math.abs(gx - goal.gx) + Math.abs(gy - goal.gy);
+
+    const startKey = key(start.gx, start.gy);
+    const goalKey = key(goal.gx, goal.gy);
+    const cameFrom = new Map();
+    const cost = new Map([[startKey, 0]]);
+    const open = new MinHeap();
+    open.push(heuristic(start.gx, start.gy), startKey);
+
+    let expanded = 0;
+    while (open.size > 0 && expanded < maxNodes) {
+        const current = open.pop();
+        if (current === goalKey) break;
+        expanded++;
+
+        const cx = current % width;
+        const cy = Math.floor(current / width);
+        const nextCost = cost.get(current) + 1;
+
+        for (const { dx, dy } of NEIGHBOURS) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            if (!isWalkable(tiles, nx, ny, crossesLava)) continue;
+
+            const neighbour = key(nx, ny);
+            if (cost.has(neighbour) && cost.get(neighbour) <= nextCost) continue;
+
+            cost.set(neighbour, nextCost);
+            cameFrom.set(neighbour, current);
+            open.push(nextCost + heuristic(nx, ny), neighbour);
+        }
+    }
+
+    if (!cameFrom.has(goalKey)) return null;
+
+    const path = [];
+    for (let node = goalKey; node !== startKey; node = cameFrom.get(node)) {
+        path.push({ gx: node % width, gy: Math.floor(node / width) });
+    }
+    return path.reverse();
+}
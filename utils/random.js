@@ -0,0 +1,46 @@
+/**
+ * Seeded random number utilities
+ * Game state carries its own RNG state so a seed always replays the same simulation
+ */
+
+/**
+ * Hash any seed (number or string) into a 32-bit integer
+ */
+export function hashSeed(seed) {
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Advance a random source and return a float in [0, 1).
+ * The source is any object with an integer `rngState` field (mulberry32).
+ */
+export function nextRandom(source) {
+    source.rngState = (source.rngState + 0x6D2B79F5) | 0;
+    let t = source.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Random integer in [min, max)
+ */
+export function randomInt(source, min, max) {
+    return Math.floor(min + nextRandom(source) * (max - min));
+}
+
+/**
+ * Create a standalone seeded generator with the same signature as Math.random
+ */
+export function createSeededRandom(seed) {
+    const source = { rngState: hashSeed(seed) };
+    return () => nextRandom(source);
+}
@@ -2,7 +2,8 @@
  * Room utility functions
  */
 
-import { ROOM_CONFIG } from '../config/constants.js';
+import { randomBytes } from 'crypto';
+import { ROOM_CONFIG, MATCH_CONFIG, GAME_RULES, GAME_MODE_CONFIG } from '../config/constants.js';
 
 /**
  * Generate a unique room code
@@ -35,3 +36,71 @@ export function generateRoomCode(existingRooms) {
 export function generateDefaultPlayerName(socketId) {
     return `Player_${socketId.substring(0, 6)}`;
 }
+
+/**
+ * Socket.IO room holding a room's spectators, alongside the room itself
+ */
+export function getSpectatorRoom(roomCode) {
+    return `${roomCode}:spectators`;
+}
+
+/**
+ * Generate an unguessable reconnect token
+ */
+export function generateReconnectToken() {
+    return randomBytes(ROOM_CONFIG.RECONNECT_TOKEN_BYTES).toString('hex');
+}
+
+/**
+ * Build match end conditions from client-supplied options, dropping invalid values
+ */
+export function normalizeEndConditions(options = {}) {
+    const conditions = { ...MATCH_CONFIG.DEFAULT_END_CONDITIONS };
+
+    const timeLimit = Number(options?.timeLimit);
+    if (Number.isFinite(timeLimit) && timeLimit > 0) {
+        conditions.timeLimit = Math.min(timeLimit, MATCH_CONFIG.MAX_TIME_LIMIT);
+    }
+
+    if (typeof options?.lastPlayerAlive === 'boolean') {
+        conditions.lastPlayerAlive = options.lastPlayerAlive;
+    }
+
+    const coinTarget = Math.floor(Number(options?.coinTarget));
+    if (Number.isFinite(coinTarget) && coinTarget > 0) {
+        conditions.coinTarget = Math.min(coinTarget, MATCH_CONFIG.MAX_COIN_TARGET);
+    }
+
+    return conditions;
+}
+
+/**
+ * Build game rules from client-supplied overrides on top of a base rule set,
+ * clamping each value to its allowed range and dropping unknown or invalid ones
+ */
+export function normalizeRules(overrides = {}, base = GAME_RULES.DEFAULTS) {
+    const rules = { ...GAME_RULES.DEFAULTS, ...base };
+
+    Object.entries(GAME_RULES.RANGES).forEach(([key, range]) => {
+        let value = overrides?.[key];
+        if (!Number.isFinite(value)) return;
+
+        if (range.integer) value = Math.floor(value);
+        rules[key] = Math.min(Math.max(value, range.min), range.max);
+    });
+
+    return rules;
+}
+
+/**
+ * Id of the team with the fewest members, ties going to the first team
+ */
+export function getSmallestTeamId(players) {
+    const { TEAMS } = GAME_MODE_CONFIG.TEAMS;
+    const counts = TEAMS.map(team => players.filter(p => p.teamId === team.id).length);
+    return TEAMS[counts.indexOf(Math.min(...counts))].id;
+}
+
+export function getTeamColor(teamId) {
+    return GAME_MODE_CONFIG.TEAMS.TEAMS.find(team => team.id === teamId)?.color || null;
+}
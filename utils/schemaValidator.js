@@ -0,0 +1,108 @@
+/**
+ * Minimal declarative schema validation for socket payloads
+ *
+ * A schema is a plain object:
+ *   type        'any' | 'object' | 'string' | 'integer' | 'number' | 'boolean'
+ *   optional    undefined is accepted
+ *   nullable    null is accepted
+ *   properties  (object) schema per allowed key; unknown keys are rejected
+ *   keys/values (object) a map whose keys must be listed in `keys` and whose values match `values`
+ *   min/max     (integer, number) inclusive bounds
+ *   minLength/maxLength/pattern (string)
+ *   enum        allowed values
+ */
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+const TYPE_CHECKS = {
+    any: () => true,
+    object: isPlainObject,
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => Number.isFinite(value),
+    boolean: value => typeof value === 'boolean'
+};
+
+/**
+ * Validate a value against a schema
+ * @returns {string|null} - Description of the first problem found, or null if the value is valid
+ */
+export function validateSchema(schema, value, path = 'data') {
+    if (value === undefined) {
+        return schema.optional || schema.type === 'any' ? null : `${path} is required`;
+    }
+    if (value === null) {
+        return schema.nullable || schema.type === 'any' ? null : `${path} must not be null`;
+    }
+
+    if (!TYPE_CHECKS[schema.type](value)) {
+        return `${path} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of ${schema.enum.join(', ')}`;
+    }
+
+    if (schema.min !== undefined && value < schema.min) return `${path} must be at least ${schema.min}`;
+    if (schema.max !== undefined && value > schema.max) return `${path} must be at most ${schema.max}`;
+
+    if (schema.type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return `${path} must be at least ${schema.minLength} characters`;
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return `${path} must be at most ${schema.maxLength} characters`;
+        }
+        if (schema.pattern && !schema.pattern.test(value)) return `${path} is malformed`;
+    }
+
+    if (schema.type === 'object') {
+        if (schema.properties) {
+            for (const key of Object.keys(value)) {
+                if (!Object.hasOwn(schema.properties, key)) return `${path}.${key} is not allowed`;
+            }
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const error = validateSchema(propertySchema, value[key], `${path}.${key}`);
+                if (error) return error;
+            }
+        }
+
+        if (schema.values) {
+            for (const [key, entry] of Object.entries(value)) {
+                if (schema.keys && !schema.keys.includes(key)) return `${path}.${key} is not allowed`;
+                const error = validateSchema(schema.values, entry, `${path}.${key}`);
+                if (error) return error;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Turn HTTP query-string values into the types a schema expects, so one schema can
+ * serve both a socket event and a REST endpoint. Values that don't fit are left as
+ * strings for validateSchema to reject.
+ */
+export function coerceQueryParams(schema, query = {}) {
+    const result = {};
+
+    for (const [key, raw] of Object.entries(query)) {
+        const type = schema.properties?.[key]?.type;
+        let value = raw;
+
+        if (raw === 'null') {
+            value = null;
+        } else if ((type === 'integer' || type === 'number') && raw !== '' && Number.isFinite(Number(raw))) {
+            value = Number(raw);
+        } else if (type === 'boolean' && (raw === 'true' || raw === 'false')) {
+            value = raw === 'true';
+        }
+
+        result[key] = value;
+    }
+
+    return result;
+}